@@ -1,6 +1,6 @@
 #!/usr/bin/env node
 
-const { Command } = require("commander");
+const { Command, InvalidArgumentError } = require("commander");
 const puppeteer = require("puppeteer");
 const fs = require("fs").promises;
 const path = require("path");
@@ -8,36 +8,425 @@ const pixelmatch = require("pixelmatch");
 const { PNG } = require("pngjs");
 const os = require("os");
 const { startTui } = require("./src/tui");
+const { loadConfig, applyConfigOptions } = require("./src/config");
+const {
+  readPathList,
+  parseList,
+  buildOriginPairs,
+} = require("./src/pairs");
+const { discoverFromSitemap, crawlSite } = require("./src/discovery");
+const { BaselineStore, createUrlId } = require("./src/baseline");
+const { parseViewports } = require("./src/viewports");
+const { loadCustomDevices, resolveDevice } = require("./src/devices");
+const { loadHooks } = require("./src/hooks");
+const { loadAuth, applyAuth } = require("./src/auth");
+const {
+  DEFAULT_WAIT_UNTIL,
+  parseWaitUntil,
+  parseDelay,
+  hasExplicitWait,
+  waitForReady,
+} = require("./src/wait");
+const {
+  getResultTitle,
+  writeResultsJson,
+  writeJUnitReport,
+} = require("./src/results");
+const {
+  parseThreshold,
+  parseAlpha,
+  parseColor,
+  parseDiffMode,
+  parseSsimBudget,
+  parseDiffBudget,
+  validateDiffOptions,
+  toPixelmatchOptions,
+  findChangedPixels,
+} = require("./src/diff");
+const { computeSsim, renderSsimHeatmap } = require("./src/ssim");
+const { findChangedRegions } = require("./src/regions");
+const { DEFAULT_ALIGN, parseAlign, alignImages } = require("./src/align");
+const { snapshotDom, diffDomSnapshots } = require("./src/dom");
+const { extractText, diffText, isTextOnlyChange } = require("./src/text");
+const {
+  createIssueLog,
+  watchPageIssues,
+  compareIssues,
+} = require("./src/issues");
+const {
+  snapshotAccessibility,
+  diffAccessibilityTrees,
+  hasAccessibilityChanges,
+} = require("./src/accessibility");
+const {
+  parseColorScheme,
+  parseMediaType,
+  expandColorSchemes,
+  emulateMedia,
+} = require("./src/media");
 
 const program = new Command();
 
+function collectOption(value, previous) {
+  return previous.concat([value]);
+}
+
+function parseViewportsOption(value) {
+  try {
+    return parseViewports(value);
+  } catch (error) {
+    throw new InvalidArgumentError(error.message);
+  }
+}
+
+function parseWaitUntilOption(value) {
+  try {
+    return parseWaitUntil(value);
+  } catch (error) {
+    throw new InvalidArgumentError(error.message);
+  }
+}
+
+function parseDelayOption(value) {
+  try {
+    return parseDelay(value);
+  } catch (error) {
+    throw new InvalidArgumentError(error.message);
+  }
+}
+
+function parseColorSchemeOption(value) {
+  try {
+    return parseColorScheme(value);
+  } catch (error) {
+    throw new InvalidArgumentError(error.message);
+  }
+}
+
+function parseMediaTypeOption(value) {
+  try {
+    return parseMediaType(value);
+  } catch (error) {
+    throw new InvalidArgumentError(error.message);
+  }
+}
+
+function parseThresholdOption(value) {
+  try {
+    return parseThreshold(value);
+  } catch (error) {
+    throw new InvalidArgumentError(error.message);
+  }
+}
+
+function parseAlphaOption(value) {
+  try {
+    return parseAlpha(value);
+  } catch (error) {
+    throw new InvalidArgumentError(error.message);
+  }
+}
+
+function parseDiffModeOption(value) {
+  try {
+    return parseDiffMode(value);
+  } catch (error) {
+    throw new InvalidArgumentError(error.message);
+  }
+}
+
+function parseAlignOption(value) {
+  try {
+    return parseAlign(value);
+  } catch (error) {
+    throw new InvalidArgumentError(error.message);
+  }
+}
+
+function parseSsimBudgetOption(value) {
+  try {
+    return parseSsimBudget(value);
+  } catch (error) {
+    throw new InvalidArgumentError(error.message);
+  }
+}
+
+function parseDiffBudgetOption(value) {
+  try {
+    return parseDiffBudget(value);
+  } catch (error) {
+    throw new InvalidArgumentError(error.message);
+  }
+}
+
+// Colors are validated but kept as written
+function parseColorOption(value) {
+  try {
+    parseColor(value);
+    return value;
+  } catch (error) {
+    throw new InvalidArgumentError(error.message);
+  }
+}
+
+// Options that control how screenshots are compared
+function addDiffOptions(command) {
+  return command
+    .option(
+      "--diff-mode <mode>",
+      "pixel, ssim (structural similarity heatmap) or both (default: pixel)",
+      parseDiffModeOption,
+    )
+    .option(
+      "--align <strategy>",
+      "how screenshots of different heights are lined up: stretch, pad, crop or content (default: stretch)",
+      parseAlignOption,
+    )
+    .option(
+      "--threshold <number>",
+      "per-pixel color difference tolerance from 0 to 1 (default: 0.1)",
+      parseThresholdOption,
+    )
+    .option(
+      "--include-aa",
+      "count anti-aliased pixels (e.g. font edges) as differences",
+    )
+    .option(
+      "--alpha <number>",
+      "opacity of unchanged pixels in the diff image from 0 to 1 (default: 0.1)",
+      parseAlphaOption,
+    )
+    .option(
+      "--diff-color <color>",
+      "color of changed pixels in the diff image (default: #ff0000)",
+      parseColorOption,
+    )
+    .option(
+      "--diff-color-alt <color>",
+      "color of pixels that got darker, to tell them apart from lighter ones",
+      parseColorOption,
+    )
+    .option(
+      "--no-dom-diff",
+      "skip the DOM snapshot that explains which elements changed",
+    )
+    .option("--no-text-diff", "skip the diff of the visible text")
+    .option(
+      "--no-accessibility-diff",
+      "skip the diff of the accessibility tree (roles, names, headings, landmarks)",
+    )
+    .option(
+      "--no-page-issues",
+      "skip recording console errors, page exceptions and failed requests",
+    );
+}
+
+// Options shared by every command that captures pages
+function addCaptureOptions(command) {
+  return command
+    .option("--width <number>", "viewport width (default: 1280)")
+    .option("--height <number>", "viewport height (default: 720)")
+    .option(
+      "--concurrency <number>",
+      "max pairs processed in parallel",
+      Math.max(1, Math.floor(os.cpus().length / 2)).toString(),
+    )
+    .option("--scroll-delay <number>", "delay between scroll steps (ms)", "500")
+    .option(
+      "--wait-until <event>",
+      "navigation event to wait for: load, domcontentloaded, networkidle0 or networkidle2 (default: networkidle2)",
+      parseWaitUntilOption,
+    )
+    .option(
+      "--wait-for-selector <css>",
+      "wait until an element matching the selector is visible",
+    )
+    .option(
+      "--wait-for-function <js>",
+      "wait until the JavaScript expression returns a truthy value",
+    )
+    .option(
+      "--delay <ms>",
+      "wait this long before the screenshot (any --wait-* or --delay option replaces the built-in settling delays)",
+      parseDelayOption,
+    )
+    .option("--no-lazy-loading", "disable lazy loading support")
+    .option(
+      "--no-disable-animations",
+      "keep CSS animations and transitions enabled",
+    )
+    .option("--no-mask-videos", "disable automatic video masking")
+    .option("--video-mask-color <color>", "color for video masks", "#808080")
+    .option(
+      "--mask <selector>",
+      "paint elements matching the selector with the mask color (repeatable)",
+      collectOption,
+      [],
+    )
+    .option(
+      "--hide <selector>",
+      "hide elements matching the selector with visibility:hidden (repeatable)",
+      collectOption,
+      [],
+    )
+    .option(
+      "--mask-color <color>",
+      "color for --mask overlays (default: the video mask color)",
+    )
+    .option("--user-agent <string>", "custom user agent string")
+    .option(
+      "--color-scheme <scheme>",
+      "emulate prefers-color-scheme: light, dark or both (captures each pair twice)",
+      parseColorSchemeOption,
+    )
+    .option("--reduced-motion", "emulate prefers-reduced-motion: reduce")
+    .option(
+      "--media <type>",
+      "emulate the CSS media type: screen or print",
+      parseMediaTypeOption,
+    )
+    .option(
+      "--selector <css>",
+      "capture only the first element matching this CSS selector",
+    )
+    .option(
+      "--device <name>",
+      'emulate a device, e.g. "iPhone 15" (viewport, scale factor, touch and UA)',
+    )
+    .option("--devices-file <file>", "JSON file with custom device definitions")
+    .option(
+      "--hook <file>",
+      "module exporting beforeCapture(page, { side, url }) run after navigation",
+    );
+}
+
+// Headers, cookies and basic auth for both sides, plus before/after-only
+// variants. Secret values can be given as "env:NAME".
+function addAuthOptions(command) {
+  command
+    .option(
+      "--header <header>",
+      'extra request header "Name: value" (repeatable)',
+      collectOption,
+      [],
+    )
+    .option(
+      "--cookie <cookie>",
+      'cookie "name=value" set for the captured host (repeatable)',
+      collectOption,
+      [],
+    )
+    .option(
+      "--cookies-file <file>",
+      "cookies to set, as a Netscape cookies.txt or a JSON export",
+    )
+    .option("--basic-auth <user:pass>", "HTTP basic auth credentials");
+
+  for (const side of ["before", "after"]) {
+    command
+      .option(
+        `--${side}-header <header>`,
+        `like --header, for the ${side} side only`,
+        collectOption,
+        [],
+      )
+      .option(
+        `--${side}-cookie <cookie>`,
+        `like --cookie, for the ${side} side only`,
+        collectOption,
+        [],
+      )
+      .option(
+        `--${side}-cookies-file <file>`,
+        `like --cookies-file, for the ${side} side only`,
+      )
+      .option(
+        `--${side}-basic-auth <user:pass>`,
+        `like --basic-auth, for the ${side} side only`,
+      );
+  }
+
+  return command;
+}
+
+// Options shared by every command that writes a report
+function addReportOptions(command) {
+  return command
+    .option("--no-open", "do not auto-open the report")
+    .option(
+      "--fail-on-diff <percent>",
+      "exit with code 1 when a pair differs by more than this percentage",
+      parseDiffBudgetOption,
+    )
+    .option(
+      "--fail-on-ssim <score>",
+      "exit with code 1 when a pair's SSIM score is below this (needs --diff-mode ssim or both)",
+      parseSsimBudgetOption,
+    )
+    .option("--fail-on-error", "exit with code 1 when a pair fails to process")
+    .option("--junit <file>", "also write a JUnit XML report to this file");
+}
+
+// The main command and the subcommands share option names, so options after
+// a subcommand name must belong to that subcommand
 program
   .name("quick-vrt")
   .description("Quick Visual Regression Testing tool for web pages")
-  .version("1.4.0");
+  .version("1.4.0")
+  .enablePositionalOptions();
 
 // Main command for running VRT
-program
-  .argument("<urls...>", "URLs to compare (format: url1 url2 [url3 url4 ...])")
-  .option("-o, --output <dir>", "output directory", "./vrt-results")
-  .option("--width <number>", "viewport width", "1280")
-  .option("--height <number>", "viewport height", "720")
+const mainCommand = program
+  .argument(
+    "[urls...]",
+    "URLs to compare (format: url1 url2 [url3 url4 ...]); defaults to the pairs in the config file",
+  )
+  .option("-c, --config <path>", "path to quick-vrt.config.{js,json}")
+  .option(
+    "--before-origin <url>",
+    "origin of the before site (origin-swap mode)",
+  )
   .option(
-    "--concurrency <number>",
-    "max concurrent browsers",
-    Math.max(1, Math.floor(os.cpus().length / 2)).toString(),
+    "--after-origin <url>",
+    "origin of the after site (origin-swap mode)",
   )
-  .option("--scroll-delay <number>", "delay between scroll steps (ms)", "500")
-  .option("--no-lazy-loading", "disable lazy loading support")
+  .option("--paths <list>", "comma-separated paths to compare across origins")
   .option(
-    "--no-disable-animations",
-    "keep CSS animations and transitions enabled",
+    "--paths-file <file>",
+    "file with one path per line to compare across origins",
   )
-  .option("--no-mask-videos", "disable automatic video masking")
-  .option("--video-mask-color <color>", "color for video masks", "#808080")
-  .option("--user-agent <string>", "custom user agent string")
-  .option("--no-open", "do not auto-open the report")
-  .action(async (urls, options) => {
+  .option("--sitemap <file|url>", "discover paths from a sitemap.xml")
+  .option("--crawl", "discover paths by crawling links on the before origin")
+  .option("--crawl-depth <number>", "max link depth when crawling", "2")
+  .option("--include <globs>", "comma-separated globs of paths to keep")
+  .option("--exclude <globs>", "comma-separated globs of paths to skip")
+  .option("--max-pages <number>", "max number of discovered paths", "50")
+  .option("-o, --output <dir>", "output directory", "./vrt-results")
+  .option(
+    "--viewports <list>",
+    "capture every pair at each viewport (e.g. 375x812,768x1024,1440x900)",
+    parseViewportsOption,
+  );
+addCaptureOptions(mainCommand);
+addAuthOptions(mainCommand);
+addDiffOptions(mainCommand);
+addReportOptions(mainCommand);
+mainCommand.action(async (urls, options, command) => {
+  const config = await loadConfigOrExit(options.config);
+  const mergedOptions = applyConfigOptions(options, config, command);
+
+  // URLs on the command line are compared instead of anything the config
+  // file lists, origin-swap settings included
+  const isCliOption = (key) => command.getOptionValueSource(key) === "cli";
+  const originSwap = isCliOption("beforeOrigin") ||
+    isCliOption("afterOrigin") ||
+    (urls.length === 0 &&
+      Boolean(mergedOptions.beforeOrigin || mergedOptions.afterOrigin));
+
+  let pairs = [];
+  if (originSwap) {
+    pairs = await buildOriginPairsOrExit(mergedOptions);
+  } else if (urls.length > 0) {
     if (urls.length < 2 || urls.length % 2 !== 0) {
       console.error(
         "Error: Please provide URLs in pairs (url1 url2 [url3 url4 ...])",
@@ -45,65 +434,155 @@ program
       process.exit(1);
     }
 
-    const pairs = [];
     for (let i = 0; i < urls.length; i += 2) {
       pairs.push({ before: urls[i], after: urls[i + 1] });
     }
+  } else if (config && config.pairs.length > 0) {
+    console.log(`📝 Using pairs from ${path.relative(process.cwd(), config.path)}`);
+    pairs = config.pairs;
+  } else {
+    console.error(
+      "Error: Please provide URLs in pairs (url1 url2 [url3 url4 ...]) or list them in quick-vrt.config.{js,json}",
+    );
+    process.exit(1);
+  }
 
-    await runVRT(pairs, options);
-  });
+  try {
+    const { failures } = await runVRT(pairs, mergedOptions);
+    if (failures.length > 0) {
+      process.exitCode = 1;
+    }
+  } catch (error) {
+    console.error("Error running VRT:", error.message);
+    process.exit(1);
+  }
+});
 
 // TUI command for interactive URL selection
-program
+const tuiCommand = program
   .command("tui")
   .description("Interactive URL selection with TUI")
+  .option("-c, --config <path>", "path to quick-vrt.config.{js,json}")
   .option("-o, --output <dir>", "output directory", "./vrt-results")
-  .option("--width <number>", "viewport width", "1280")
-  .option("--height <number>", "viewport height", "720")
-  .option(
-    "--concurrency <number>",
-    "max concurrent browsers",
-    Math.max(1, Math.floor(os.cpus().length / 2)).toString(),
-  )
-  .option("--scroll-delay <number>", "delay between scroll steps (ms)", "500")
-  .option("--no-lazy-loading", "disable lazy loading support")
   .option(
-    "--no-disable-animations",
-    "keep CSS animations and transitions enabled",
-  )
-  .option("--no-mask-videos", "disable automatic video masking")
-  .option("--video-mask-color <color>", "color for video masks", "#808080")
-  .option("--user-agent <string>", "custom user agent string")
-  .option("--no-open", "do not auto-open the report")
-  .action(async (options) => {
-    try {
-      const tuiResult = await startTui();
+    "--viewports <list>",
+    "capture every pair at each viewport (e.g. 375x812,768x1024,1440x900)",
+    parseViewportsOption,
+  );
+addCaptureOptions(tuiCommand);
+addAuthOptions(tuiCommand);
+addDiffOptions(tuiCommand);
+addReportOptions(tuiCommand);
+tuiCommand.action(async (options, command) => {
+  const config = await loadConfigOrExit(options.config);
+  options = applyConfigOptions(options, config, command);
+
+  // Seed the options screen with values from the config file or the
+  // command line, leaving the TUI's own defaults for everything else
+  const isUserSet = (key) =>
+    command.getOptionValueSource(key) === "cli" ||
+    (config && config.options[key] !== undefined);
+  const initialOptions = {};
+  if (isUserSet("width")) initialOptions.width = parseInt(options.width);
+  if (isUserSet("height")) initialOptions.height = parseInt(options.height);
+  if (isUserSet("threshold")) {
+    initialOptions.threshold = parseFloat(options.threshold);
+  }
+  if (isUserSet("output")) initialOptions.outputDir = options.output;
 
-      if (!tuiResult || !tuiResult.pairs || tuiResult.pairs.length === 0) {
-        console.log("No URL pairs provided. Exiting.");
-        process.exit(0);
-      }
+  try {
+    const tuiResult = await startTui({
+      options: initialOptions,
+      pairs: config ? config.pairs : [],
+    });
 
-      // Merge TUI options with command line options
-      const mergedOptions = {
-        ...options,
-        width: tuiResult.options.width || options.width,
-        height: tuiResult.options.height || options.height,
-        threshold: tuiResult.options.threshold || options.threshold,
-        output: tuiResult.options.outputDir || options.output,
-      };
+    if (!tuiResult || !tuiResult.pairs || tuiResult.pairs.length === 0) {
+      console.log("No URL pairs provided. Exiting.");
+      process.exit(0);
+    }
 
-      // Convert to the format expected by runVRT
-      const pairs = tuiResult.pairs.map((pair) => ({
-        before: pair.before,
-        after: pair.after,
-      }));
+    // Merge TUI options with command line options
+    const mergedOptions = {
+      ...options,
+      width: tuiResult.options.width || options.width,
+      height: tuiResult.options.height || options.height,
+      threshold: tuiResult.options.threshold ?? options.threshold,
+      output: tuiResult.options.outputDir || options.output,
+    };
+
+    // Convert to the format expected by runVRT, keeping the name and
+    // per-pair options of pairs that came from the config file unchanged
+    const pairs = tuiResult.pairs.map((pair) => {
+      const configPair = config && config.pairs.find((p) =>
+        p.before === pair.before && p.after === pair.after
+      );
+      return configPair || { before: pair.before, after: pair.after };
+    });
 
-      await runVRT(pairs, mergedOptions);
-    } catch (error) {
-      console.error("Error running TUI:", error.message);
-      process.exit(1);
+    const { failures } = await runVRT(pairs, mergedOptions);
+    if (failures.length > 0) {
+      process.exitCode = 1;
+    }
+  } catch (error) {
+    console.error("Error running TUI:", error.message);
+    process.exit(1);
+  }
+});
+
+// Snapshot command for writing baseline (golden) screenshots
+const snapshotCommand = program
+  .command("snapshot")
+  .description("Capture baseline screenshots for URLs")
+  .argument(
+    "[urls...]",
+    "URLs to capture; defaults to re-capturing every stored baseline",
+  )
+  .option("--baseline-dir <dir>", "baseline directory", "./vrt-baselines");
+addCaptureOptions(snapshotCommand);
+addAuthOptions(snapshotCommand);
+snapshotCommand.action(async (urls, options) => {
+  try {
+    const { failures } = await runSnapshot(urls, options);
+    if (failures.length > 0) {
+      process.exitCode = 1;
+    }
+  } catch (error) {
+    console.error("Error capturing baselines:", error.message);
+    process.exit(1);
+  }
+});
+
+// Compare command for diffing fresh captures against stored baselines
+const compareCommand = program
+  .command("compare")
+  .description("Compare URLs against their baseline screenshots")
+  .argument("[urls...]", "URLs to compare; defaults to every stored baseline")
+  .option("--baseline-dir <dir>", "baseline directory", "./vrt-baselines")
+  .option("-o, --output <dir>", "output directory", "./vrt-results");
+addCaptureOptions(compareCommand);
+addAuthOptions(compareCommand);
+addDiffOptions(compareCommand);
+addReportOptions(compareCommand);
+compareCommand.action(async (urls, options) => {
+  try {
+    const { failures } = await runBaselineCompare(urls, options);
+    if (failures.length > 0) {
+      process.exitCode = 1;
     }
+  } catch (error) {
+    console.error("Error comparing baselines:", error.message);
+    process.exit(1);
+  }
+});
+
+// Approve command for promoting changed captures to baselines
+program
+  .command("approve")
+  .description("Promote pending captures from the last compare to baselines")
+  .argument("[pairs...]", "ids of the pairs to approve; defaults to all")
+  .option("--baseline-dir <dir>", "baseline directory", "./vrt-baselines")
+  .action(async (ids, options) => {
+    await runApprove(ids, options);
   });
 
 // Open command for viewing existing reports
@@ -124,6 +603,112 @@ program
     }
   });
 
+async function loadConfigOrExit(configPath) {
+  try {
+    return await loadConfig(configPath);
+  } catch (error) {
+    console.error(`Error loading config: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+async function buildOriginPairsOrExit(options) {
+  if (!options.beforeOrigin || !options.afterOrigin) {
+    console.error(
+      "Error: --before-origin and --after-origin must be used together",
+    );
+    process.exit(1);
+  }
+
+  const paths = [];
+  if (options.paths) {
+    paths.push(...parseList(options.paths));
+  }
+  if (options.pathsFile) {
+    try {
+      paths.push(...await readPathList(options.pathsFile));
+    } catch (error) {
+      console.error(`Error reading path list: ${error.message}`);
+      process.exit(1);
+    }
+  }
+
+  if (options.sitemap || options.crawl) {
+    try {
+      const discovered = await discoverPaths(options);
+      paths.push(...discovered);
+    } catch (error) {
+      console.error(`Error discovering paths: ${error.message}`);
+      process.exit(1);
+    }
+  }
+
+  if (paths.length === 0) {
+    console.error(
+      "Error: Please provide paths to compare with --paths, --paths-file, --sitemap or --crawl",
+    );
+    process.exit(1);
+  }
+
+  try {
+    return buildOriginPairs(options.beforeOrigin, options.afterOrigin, paths);
+  } catch (error) {
+    console.error(`Error building URL pairs: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+async function discoverPaths(options) {
+  const discoveryOptions = {
+    include: options.include ? parseList(options.include) : [],
+    exclude: options.exclude ? parseList(options.exclude) : [],
+    maxPages: parseInt(options.maxPages),
+  };
+  const paths = [];
+
+  if (options.sitemap) {
+    console.log(`🗺️  Reading sitemap ${options.sitemap}...`);
+    const sitemapPaths = await discoverFromSitemap(
+      options.sitemap,
+      discoveryOptions,
+    );
+    console.log(`   Found ${sitemapPaths.length} path(s) in sitemap`);
+    paths.push(...sitemapPaths);
+  }
+
+  if (options.crawl) {
+    console.log(
+      `🕸️  Crawling ${options.beforeOrigin} (depth ${options.crawlDepth})...`,
+    );
+    const browser = await puppeteer.launch();
+    try {
+      const crawledPaths = await crawlSite(browser, options.beforeOrigin, {
+        ...discoveryOptions,
+        depth: parseInt(options.crawlDepth),
+        userAgent: options.userAgent,
+        auth: await loadAuth(options, "before"),
+        log: (message) => console.log(`   ${message}`),
+      });
+      console.log(`   Found ${crawledPaths.length} path(s) by crawling`);
+      paths.push(...crawledPaths);
+    } finally {
+      await browser.close();
+    }
+  }
+
+  // Discovered paths are absolute on the before host; make them relative to
+  // the before origin so an origin with a base path is not applied twice
+  const basePath = new URL(options.beforeOrigin).pathname.replace(/\/+$/, "");
+  const relativePaths = paths.map((pagePath) =>
+    basePath && pagePath.startsWith(`${basePath}/`)
+      ? pagePath.slice(basePath.length)
+      : pagePath
+  );
+
+  // The cap applies to the combined list, duplicates are dropped later
+  return Array.from(new Set(relativePaths)).slice(0, discoveryOptions.maxPages);
+}
+
 async function listReports() {
   try {
     console.log("Searching for recent VRT reports...\n");
@@ -273,7 +858,11 @@ async function openReport(reportPath) {
   }
 }
 
-async function maskVideos(page, maskColor = "#808080") {
+async function maskVideos(
+  page,
+  maskColor = "#808080",
+  warn = (message) => console.warn(message),
+) {
   try {
     await page.evaluate((color) => {
       // Find all video elements
@@ -441,11 +1030,75 @@ async function maskVideos(page, maskColor = "#808080") {
 
     // Content masked silently
   } catch (error) {
-    console.warn("    Failed to mask dynamic content:", error.message);
+    warn(`Failed to mask dynamic content: ${error.message}`);
+  }
+}
+
+// Apply the user's --hide and --mask selectors. Hidden elements keep their
+// space but are not painted; masked elements are covered with a solid box.
+async function maskElements(page, { mask = [], hide = [], color = "#808080" }) {
+  const result = await page.evaluate((maskSelectors, hideSelectors, maskColor) => {
+    const invalid = [...maskSelectors, ...hideSelectors].filter((selector) => {
+      try {
+        document.querySelector(selector);
+        return false;
+      } catch (e) {
+        return true;
+      }
+    });
+    if (invalid.length > 0) {
+      return { invalid };
+    }
+
+    if (hideSelectors.length > 0) {
+      const style = document.createElement("style");
+      style.setAttribute("data-vrt-hide", "true");
+      style.textContent = hideSelectors
+        .map((selector) => `${selector} { visibility: hidden !important; }`)
+        .join("\n");
+      document.head.appendChild(style);
+    }
+
+    // Overlays are positioned against the document so they stay in place in
+    // full-page screenshots
+    let masked = 0;
+    maskSelectors.forEach((selector) => {
+      document.querySelectorAll(selector).forEach((element) => {
+        const rect = element.getBoundingClientRect();
+        if (rect.width === 0 || rect.height === 0) return;
+
+        const overlay = document.createElement("div");
+        overlay.style.cssText = `
+          position: absolute !important;
+          top: ${rect.top + window.scrollY}px !important;
+          left: ${rect.left + window.scrollX}px !important;
+          width: ${rect.width}px !important;
+          height: ${rect.height}px !important;
+          background-color: ${maskColor} !important;
+          z-index: 2147483647 !important;
+          pointer-events: none !important;
+        `;
+        overlay.setAttribute("data-vrt-mask", "true");
+        document.documentElement.appendChild(overlay);
+        masked++;
+      });
+    });
+
+    return { masked };
+  }, mask, hide, color);
+
+  if (result.invalid) {
+    throw new Error(`Invalid mask/hide selector: ${result.invalid.join(", ")}`);
   }
+  return result.masked;
 }
 
-async function disableAnimations(page) {
+// Failures are reported through warn, one message each, so they end up in
+// the pair's log instead of the page's console
+async function disableAnimations(
+  page,
+  warn = (message) => console.warn(message),
+) {
   try {
     // First, disable CSS animations and transitions
     await page.addStyleTag({
@@ -521,7 +1174,8 @@ async function disableAnimations(page) {
     await new Promise((resolve) => setTimeout(resolve, 500));
 
     // Disable JavaScript-based animations
-    await page.evaluate(() => {
+    const warnings = await page.evaluate(() => {
+      const warnings = [];
       // Store original functions
       const originalRAF = window.requestAnimationFrame;
       const originalCAF = window.cancelAnimationFrame;
@@ -565,7 +1219,7 @@ async function disableAnimations(page) {
             }
           });
         } catch (e) {
-          console.warn("Could not stop Web Animations:", e);
+          warnings.push(`Could not stop Web Animations: ${e.message || e}`);
         }
       }
 
@@ -583,7 +1237,7 @@ async function disableAnimations(page) {
             : [];
 
           if (runningAnimations.length === 0 || checkCount >= maxChecks) {
-            setTimeout(resolve, 200);
+            setTimeout(() => resolve(warnings), 200);
           } else {
             setTimeout(checkAnimations, 50);
           }
@@ -608,7 +1262,7 @@ async function disableAnimations(page) {
           window.gsap.globalTimeline.pause();
           window.gsap.set("*", { clearProps: "all" });
         } catch (e) {
-          console.warn("Could not disable GSAP:", e);
+          warnings.push(`Could not disable GSAP: ${e.message || e}`);
         }
       }
 
@@ -621,7 +1275,7 @@ async function disableAnimations(page) {
             window.anime.running.forEach((anim) => anim.pause());
           }
         } catch (e) {
-          console.warn("Could not disable Anime.js:", e);
+          warnings.push(`Could not disable Anime.js: ${e.message || e}`);
         }
       }
 
@@ -632,7 +1286,7 @@ async function disableAnimations(page) {
           const originalTHREERAF =
             window.THREE.DefaultLoadingManager.onProgress;
         } catch (e) {
-          console.warn("Could not disable Three.js:", e);
+          warnings.push(`Could not disable Three.js: ${e.message || e}`);
         }
       }
 
@@ -641,7 +1295,7 @@ async function disableAnimations(page) {
         try {
           window.Velocity.mock = true;
         } catch (e) {
-          console.warn("Could not disable Velocity.js:", e);
+          warnings.push(`Could not disable Velocity.js: ${e.message || e}`);
         }
       }
 
@@ -651,7 +1305,7 @@ async function disableAnimations(page) {
           window.AOS.refresh = () => {};
           window.AOS.refreshHard = () => {};
         } catch (e) {
-          console.warn("Could not disable AOS:", e);
+          warnings.push(`Could not disable AOS: ${e.message || e}`);
         }
       }
 
@@ -675,13 +1329,14 @@ async function disableAnimations(page) {
       // Force layout recalculation to apply changes
       document.body.offsetHeight;
     });
+    (warnings || []).forEach((message) => warn(message));
 
     // Wait for animation changes to apply
     await new Promise((resolve) => setTimeout(resolve, 300));
 
     // Animations disabled silently
   } catch (error) {
-    console.warn("    Failed to disable animations:", error.message);
+    warn(`Failed to disable animations: ${error.message}`);
   }
 }
 
@@ -731,7 +1386,11 @@ async function scrollToBottom(page, viewportHeight, scrollDelay = 500) {
   }
 }
 
-async function triggerLazyLoading(page, scrollDelay = 500) {
+async function triggerLazyLoading(
+  page,
+  scrollDelay = 500,
+  warn = (message) => console.warn(message),
+) {
   try {
     // Reduced logging for cleaner output
     const startTime = Date.now();
@@ -850,7 +1509,7 @@ async function triggerLazyLoading(page, scrollDelay = 500) {
 
     // Lazy loading completed
   } catch (error) {
-    console.warn("    Stable lazy loading failed:", error.message);
+    warn(`Stable lazy loading failed: ${error.message}`);
   }
 }
 
@@ -902,160 +1561,469 @@ function formatPairLog(pairId, type, message) {
   return `${color}${icon} [${pairId}:${type.toUpperCase()}] ${timestamp} ${message}${colors.reset}`;
 }
 
-async function runVRT(urlPairs, options) {
-  const outputDir = path.resolve(options.output);
-  const screenshotsDir = path.join(outputDir, "screenshots");
-  const diffsDir = path.join(outputDir, "diffs");
+// Repeatable options arrive as arrays, config values may be single strings
+function toList(value) {
+  if (value === undefined || value === null) return [];
+  return Array.isArray(value) ? value : [value];
+}
 
-  await fs.mkdir(outputDir, { recursive: true });
-  await fs.mkdir(screenshotsDir, { recursive: true });
-  await fs.mkdir(diffsDir, { recursive: true });
+// Per-pair overrides from the config file take precedence, except for mask
+// and hide selectors: a pair's own selectors add to the ones set for every
+// pair
+function mergePairOptions(options, overrides) {
+  const merged = { ...options, ...overrides };
+  for (const key of ["mask", "hide"]) {
+    if (overrides[key] !== undefined) {
+      merged[key] = [...toList(options[key]), ...toList(overrides[key])];
+    }
+  }
+  return merged;
+}
 
-  console.log("\n🚀 Starting Visual Regression Testing...");
-  console.log(`📊 Processing ${urlPairs.length} URL pair(s)`);
-  console.log("─".repeat(60));
+class SelectorNotFoundError extends Error {
+  constructor(selector, type, url) {
+    super(`Selector "${selector}" matched no element on the ${type} side (${url})`);
+    this.name = "SelectorNotFoundError";
+  }
+}
 
-  const browser = await puppeteer.launch();
-  const maxConcurrency = parseInt(options.concurrency);
+// Open a page configured with the viewport and user agent from options.
+// Screen size of a capture. A --viewports entry wins, then an explicit
+// --width/--height, then the device's own screen, then 1280x720.
+const DEFAULT_VIEWPORT = { width: 1280, height: 720 };
 
-  // Create overall progress bar
-  const overallProgress = createProgressBar(
-    urlPairs.length,
-    "🔄 Overall Progress",
-  );
+function resolveCaptureSize(options, device = null, viewport = null) {
+  if (viewport) return { width: viewport.width, height: viewport.height };
+  const fallback = device ? device.viewport : DEFAULT_VIEWPORT;
+  return {
+    width: parseInt(options.width) || fallback.width,
+    height: parseInt(options.height) || fallback.height,
+  };
+}
 
-  // Process pairs sequentially to avoid resource conflicts and improve stability
-  const results = [];
-  for (let i = 0; i < urlPairs.length; i++) {
-    const pair = urlPairs[i];
-    const pairId = `pair-${i + 1}`;
-    console.log(
-      `\n🆚 ${formatPairLog(pairId, "diff", `Starting comparison`)}`,
-    );
-    console.log(`   Before: ${pair.before}`);
-    console.log(`   After:  ${pair.after}`);
+// A device descriptor adds its scale factor, mobile and touch emulation and
+// user agent; an explicit --user-agent still wins. Every page gets its own
+// browser context so cookies do not leak between pairs running in parallel.
+async function openCapturePage(browser, options, device = null) {
+  const context = await browser.createBrowserContext();
+  const page = await context.newPage();
+
+  // Set appropriate User-Agent
+  const userAgent = options.userAgent ||
+    (device && device.userAgent) ||
+    "Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36";
+  await page.setUserAgent(userAgent);
+
+  // Optimize page settings for speed
+  await page.setViewport({
+    ...(device ? device.viewport : {}),
+    width: parseInt(options.width),
+    height: parseInt(options.height),
+  });
 
-    try {
-      // Create single page for sequential processing (more stable)
-      const page = await browser.newPage();
-
-      // Set appropriate User-Agent
-      const userAgent = options.userAgent ||
-        "Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36";
-      await page.setUserAgent(userAgent);
-
-      // Optimize page settings for speed
-      await page.setViewport({
-        width: parseInt(options.width),
-        height: parseInt(options.height),
-      });
+  // Set stable timeouts
+  page.setDefaultTimeout(45000);
+  page.setDefaultNavigationTimeout(45000);
 
-      // Set stable timeouts
-      page.setDefaultTimeout(45000);
-      page.setDefaultNavigationTimeout(45000);
-
-      // Shared processing function with enhanced logging
-      const processPage = async (url, imagePath, type) => {
-        console.log(formatPairLog(pairId, type, `Loading ${url}...`));
-        // Navigate with proper error handling
-        await page.goto(url, {
-          waitUntil: "networkidle2", // Use networkidle2 for better stability
-          timeout: 45000,
-        });
-        console.log(
-          formatPairLog(pairId, type, "Page loaded, stabilizing..."),
-        );
+  return page;
+}
 
-        // Quick initial stabilization
-        await new Promise((resolve) => setTimeout(resolve, 500));
+// Load a URL, stabilize the page and take a full-page screenshot.
+// pairId and type only label the log lines; hook is the beforeCapture
+// function and auth the headers, cookies and credentials for this side.
+// Console and network issues are appended to issues when it is given, also
+// when the capture fails. Resolves to { dom, text, accessibility }: the DOM
+// snapshot, visible text and accessibility tree taken along with the
+// screenshot (each null when turned off with its --no-*-diff option).
+async function processPage(page, url, imagePath, settings) {
+  const stopWatching = settings.issues
+    ? watchPageIssues(page, settings.issues)
+    : () => {};
+  try {
+    return await capturePage(page, url, imagePath, settings);
+  } finally {
+    stopWatching();
+  }
+}
 
-        // Optimized sequential processing with progress logging
-        if (options.disableAnimations !== false) {
-          console.log(
-            formatPairLog(pairId, type, "Disabling animations..."),
-          );
-          await disableAnimations(page);
-          await new Promise((resolve) => setTimeout(resolve, 800));
-        }
+async function capturePage(page, url, imagePath, {
+  pairId,
+  type,
+  options,
+  hook = null,
+  auth = null,
+  log = console.log,
+}) {
+  // Warnings go to the pair's log like its progress lines
+  const warn = (message) =>
+    log(formatPairLog(pairId, type, `⚠️  ${message}`));
+
+  // Explicit readiness conditions replace the fixed settling delays
+  const explicitWait = hasExplicitWait(options);
+  const settle = (ms) =>
+    explicitWait
+      ? Promise.resolve()
+      : new Promise((resolve) => setTimeout(resolve, ms));
+
+  await applyAuth(page, auth, url);
+  await emulateMedia(page, options);
+
+  log(formatPairLog(pairId, type, `Loading ${url}...`));
+  // Navigate with proper error handling
+  await page.goto(url, {
+    waitUntil: options.waitUntil || DEFAULT_WAIT_UNTIL,
+    timeout: 45000,
+  });
+  log(
+    formatPairLog(pairId, type, "Page loaded, stabilizing..."),
+  );
 
-        if (options.lazyLoading !== false) {
-          console.log(
-            formatPairLog(pairId, type, "Triggering lazy loading..."),
-          );
-          await triggerLazyLoading(page, parseInt(options.scrollDelay));
-          await new Promise((resolve) => setTimeout(resolve, 600));
-        }
+  if (options.waitForSelector || options.waitForFunction) {
+    log(formatPairLog(pairId, type, "Waiting for the page to be ready..."));
+    await waitForReady(page, options);
+  }
 
-        if (options.maskVideos !== false) {
-          console.log(formatPairLog(pairId, type, "Masking videos..."));
-          await maskVideos(page, options.videoMaskColor);
-          await new Promise((resolve) => setTimeout(resolve, 200));
-        }
+  // Quick initial stabilization
+  await settle(500);
 
-        // Final stabilization check
-        await page.evaluate(() => {
-          return new Promise((resolve) => {
-            let checkCount = 0;
-            const maxChecks = 10; // 3 seconds max
+  // User script to dismiss banners, log in or open UI before capturing
+  if (hook) {
+    log(formatPairLog(pairId, type, "Running beforeCapture hook..."));
+    try {
+      await hook(page, { side: type, url, pairId });
+    } catch (error) {
+      throw new Error(
+        `beforeCapture hook failed on the ${type} side: ${error.message}`,
+      );
+    }
+  }
 
-            const checkStability = () => {
-              checkCount++;
-              const pendingImages = Array.from(document.images).filter(
-                (img) => !img.complete || img.naturalWidth === 0,
-              );
+  // Optimized sequential processing with progress logging
+  if (options.disableAnimations !== false) {
+    log(
+      formatPairLog(pairId, type, "Disabling animations..."),
+    );
+    await disableAnimations(page, warn);
+    await settle(800);
+  }
 
-              if (pendingImages.length === 0 || checkCount >= maxChecks) {
-                setTimeout(resolve, 300);
-              } else {
-                setTimeout(checkStability, 300);
-              }
-            };
+  if (options.lazyLoading !== false) {
+    log(
+      formatPairLog(pairId, type, "Triggering lazy loading..."),
+    );
+    await triggerLazyLoading(page, parseInt(options.scrollDelay), warn);
+    await settle(600);
+  }
 
-            setTimeout(checkStability, 200);
-          });
-        });
+  if (options.maskVideos !== false) {
+    log(formatPairLog(pairId, type, "Masking videos..."));
+    await maskVideos(page, options.videoMaskColor, warn);
+    await settle(200);
+  }
 
-        // Take screenshot with single retry
-        try {
-          console.log(formatPairLog(pairId, type, "Taking screenshot..."));
-          await page.screenshot({
-            path: imagePath,
-            fullPage: true,
-            timeout: 30000,
-          });
-          console.log(
-            formatPairLog(pairId, type, "Screenshot completed! ✨"),
-          );
-        } catch (error) {
-          console.log(
-            formatPairLog(
-              pairId,
-              "error",
-              `Screenshot failed, retrying...`,
-            ),
-          );
-          await new Promise((resolve) => setTimeout(resolve, 1000));
-          await page.evaluate(() => window.scrollTo(0, 0));
-          await page.screenshot({
-            path: imagePath,
-            fullPage: true,
-            timeout: 30000,
-          });
-          console.log(
-            formatPairLog(
-              pairId,
-              type,
-              "Screenshot completed on retry! ✨",
-            ),
-          );
+  const maskSelectors = toList(options.mask);
+  const hideSelectors = toList(options.hide);
+  if (maskSelectors.length > 0 || hideSelectors.length > 0) {
+    log(formatPairLog(pairId, type, "Applying masks..."));
+    const masked = await maskElements(page, {
+      mask: maskSelectors,
+      hide: hideSelectors,
+      color: options.maskColor || options.videoMaskColor,
+    });
+    if (maskSelectors.length > 0) {
+      log(formatPairLog(pairId, type, `Masked ${masked} element(s)`));
+    }
+  }
+
+  // Final stabilization check
+  await page.evaluate(() => {
+    return new Promise((resolve) => {
+      let checkCount = 0;
+      const maxChecks = 10; // 3 seconds max
+
+      const checkStability = () => {
+        checkCount++;
+        const pendingImages = Array.from(document.images).filter(
+          (img) => !img.complete || img.naturalWidth === 0,
+        );
+
+        if (pendingImages.length === 0 || checkCount >= maxChecks) {
+          setTimeout(resolve, 300);
+        } else {
+          setTimeout(checkStability, 300);
         }
       };
 
+      setTimeout(checkStability, 200);
+    });
+  });
+
+  if (parseInt(options.delay) > 0) {
+    log(formatPairLog(pairId, type, `Waiting ${parseInt(options.delay)}ms...`));
+    await new Promise((resolve) =>
+      setTimeout(resolve, parseInt(options.delay))
+    );
+  }
+
+  // The DOM as it is in the screenshot, to explain pixel changes
+  let dom = null;
+  if (options.domDiff !== false) {
+    log(formatPairLog(pairId, type, "Taking DOM snapshot..."));
+    dom = await snapshotDom(page, options.selector);
+  }
+  const text = options.textDiff !== false
+    ? await extractText(page, options.selector)
+    : null;
+  const accessibility = options.accessibilityDiff !== false
+    ? await snapshotAccessibility(page, options.selector)
+    : null;
+
+  // Scope the capture to one element when a selector is given
+  const takeScreenshot = async () => {
+    if (!options.selector) {
+      await page.screenshot({
+        path: imagePath,
+        fullPage: true,
+        timeout: 30000,
+      });
+      return;
+    }
+
+    const element = await page.$(options.selector);
+    if (!element) {
+      throw new SelectorNotFoundError(options.selector, type, url);
+    }
+    try {
+      await element.screenshot({ path: imagePath, timeout: 30000 });
+    } finally {
+      await element.dispose();
+    }
+  };
+
+  // Take screenshot with single retry
+  try {
+    log(
+      formatPairLog(
+        pairId,
+        type,
+        options.selector
+          ? `Taking screenshot of ${options.selector}...`
+          : "Taking screenshot...",
+      ),
+    );
+    await takeScreenshot();
+    log(
+      formatPairLog(pairId, type, "Screenshot completed! ✨"),
+    );
+  } catch (error) {
+    // A missing element will not appear on retry
+    if (error instanceof SelectorNotFoundError) throw error;
+
+    log(
+      formatPairLog(
+        pairId,
+        "error",
+        `Screenshot failed, retrying...`,
+      ),
+    );
+    await new Promise((resolve) => setTimeout(resolve, 1000));
+    await page.evaluate(() => window.scrollTo(0, 0));
+    await takeScreenshot();
+    log(
+      formatPairLog(
+        pairId,
+        type,
+        "Screenshot completed on retry! ✨",
+      ),
+    );
+  }
+
+  return { dom, text, accessibility };
+}
+
+async function loadDevicesFile(options) {
+  return options.devicesFile ? await loadCustomDevices(options.devicesFile) : [];
+}
+
+// Worker pool: run worker(item, index) over items with at most `concurrency`
+// calls in flight. Results keep the order of items.
+async function runPool(items, concurrency, worker) {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+
+  const runWorker = async () => {
+    while (nextIndex < items.length) {
+      const i = nextIndex++;
+      results[i] = await worker(items[i], i);
+    }
+  };
+
+  const workerCount = Math.max(1, Math.min(concurrency, items.length));
+  await Promise.all(Array.from({ length: workerCount }, runWorker));
+  return results;
+}
+
+// Build a file-name safe, unique id for a pair. Named pairs use their name,
+// origin-swap pairs their path, everything else falls back to its position.
+function createPairId(pair, index, usedIds) {
+  const slug = (pair.name || pair.path || "")
+    .toLowerCase()
+    .replace(/[^a-z0-9_-]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+  const baseId = slug || (pair.path ? "root" : `pair-${index + 1}`);
+
+  let pairId = baseId;
+  for (let n = 2; usedIds.has(pairId); n++) {
+    pairId = `${baseId}-${n}`;
+  }
+  usedIds.add(pairId);
+  return pairId;
+}
+
+async function runVRT(urlPairs, options) {
+  const outputDir = path.resolve(options.output);
+  const screenshotsDir = path.join(outputDir, "screenshots");
+  const diffsDir = path.join(outputDir, "diffs");
+
+  await fs.mkdir(outputDir, { recursive: true });
+  await fs.mkdir(screenshotsDir, { recursive: true });
+  await fs.mkdir(diffsDir, { recursive: true });
+
+  const runStartedAt = Date.now();
+  // API callers can pass quiet to silence the progress output
+  const print = options.quiet ? () => {} : (line) => console.log(line);
+
+  print("\n🚀 Starting Visual Regression Testing...");
+  print(`📊 Processing ${urlPairs.length} URL pair(s)`);
+  print("─".repeat(60));
+
+  // Ids are assigned up front so they do not depend on completion order
+  const usedIds = new Set();
+  const pairIds = urlPairs.map((pair, i) => createPairId(pair, i, usedIds));
+
+  // Every pair is captured once per viewport in --viewports, or once at
+  // --width/--height without it
+  const customDevices = await loadDevicesFile(options);
+  const jobs = [];
+  for (const [i, pair] of urlPairs.entries()) {
+    const pairOptions = mergePairOptions(options, pair.options || {});
+    const viewports = pairOptions.viewports
+      ? parseViewports(pairOptions.viewports)
+      : [null];
+    const colorSchemes = expandColorSchemes(pairOptions.colorScheme);
+    // Catch a bad threshold or color before spending time on captures
+    validateDiffOptions(pairOptions);
+    if (
+      pairOptions.failOnSsim !== undefined &&
+      (pairOptions.diffMode || "pixel") === "pixel"
+    ) {
+      throw new Error("--fail-on-ssim needs --diff-mode ssim or both");
+    }
+    const device = pairOptions.device
+      ? resolveDevice(pairOptions.device, customDevices)
+      : null;
+    const hooks = loadHooks(pairOptions.hook, pair.name || pair.before);
+    const auth = {
+      before: await loadAuth(pairOptions, "before"),
+      after: await loadAuth(pairOptions, "after"),
+    };
+
+    // --color-scheme both adds a light and a dark capture per viewport
+    for (const viewport of viewports) {
+      for (const colorScheme of colorSchemes) {
+        const suffix = [
+          viewport && viewport.label,
+          colorSchemes.length > 1 && colorScheme,
+        ].filter(Boolean);
+        jobs.push({
+          pair,
+          id: [pairIds[i], ...suffix].join("-"),
+          group: pairIds[i],
+          viewport,
+          colorScheme,
+          device,
+          hooks,
+          auth,
+        });
+      }
+    }
+  }
+  if (jobs.length > urlPairs.length) {
+    print(`🖥️  ${jobs.length} captures across all viewports and schemes`);
+  }
+
+  const browser = await puppeteer.launch();
+  const maxConcurrency = Math.max(
+    1,
+    Math.min(parseInt(options.concurrency) || 1, jobs.length),
+  );
+  if (maxConcurrency > 1) {
+    print(`⚡ Processing up to ${maxConcurrency} pairs in parallel`);
+  }
+
+  // Create overall progress bar
+  const overallProgress = options.quiet
+    ? { update() {} }
+    : createProgressBar(jobs.length, "🔄 Overall Progress");
+
+  const processPair = async (job, log) => {
+    const {
+      pair,
+      id: pairId,
+      group,
+      viewport,
+      colorScheme,
+      device,
+      hooks,
+      auth,
+    } = job;
+    const pairOptions = {
+      ...mergePairOptions(options, pair.options || {}),
+      colorScheme,
+    };
+    Object.assign(
+      pairOptions,
+      resolveCaptureSize(pairOptions, device, viewport),
+    );
+    log(
+      `\n🆚 ${formatPairLog(pairId, "diff", `Starting comparison`)}`,
+    );
+    log(`   Before: ${pair.before}`);
+    log(`   After:  ${pair.after}`);
+
+    // Milliseconds spent on each step, kept in results.json
+    const startedAt = Date.now();
+    const timings = {};
+    const timed = async (step, fn) => {
+      const stepStartedAt = Date.now();
+      try {
+        return await fn();
+      } finally {
+        timings[step] = Date.now() - stepStartedAt;
+      }
+    };
+
+    // Console and network issues per side, kept for failed pairs too
+    const watchIssues = pairOptions.pageIssues !== false;
+    const issues = {
+      before: watchIssues && !pair.beforeImage ? createIssueLog() : null,
+      after: watchIssues ? createIssueLog() : null,
+    };
+    const compareSides = () =>
+      watchIssues ? compareIssues(issues.before, issues.after) : undefined;
+
+    let page;
+    try {
+      // Each active pair gets its own page; before and after are still
+      // captured one after another on it
+      page = await openCapturePage(browser, pairOptions, device);
+      const captureOptions = { pairId, options: pairOptions, log };
+
       // Process both URLs sequentially for stability
       const beforePath = path.join(screenshotsDir, `${pairId}-before.png`);
       const afterPath = path.join(screenshotsDir, `${pairId}-after.png`);
 
-      console.log(
+      log(
         formatPairLog(
           pairId,
           "diff",
@@ -1063,35 +2031,92 @@ async function runVRT(urlPairs, options) {
         ),
       );
 
-      // Process before URL first
-      await processPage(pair.before, beforePath, "before");
+      // Process before URL first, or reuse a stored baseline image
+      let beforeCapture = null;
+      if (pair.beforeImage) {
+        log(formatPairLog(pairId, "before", "Using baseline screenshot"));
+        await fs.copyFile(pair.beforeImage, beforePath);
+      } else {
+        beforeCapture = await timed("before", () =>
+          processPage(page, pair.before, beforePath, {
+            ...captureOptions,
+            type: "before",
+            hook: hooks.before,
+            auth: auth.before,
+            issues: issues.before,
+          })
+        );
+      }
 
       // Process after URL second
-      await processPage(pair.after, afterPath, "after");
-
-      await page.close();
+      const afterCapture = await timed("after", () =>
+        processPage(page, pair.after, afterPath, {
+          ...captureOptions,
+          type: "after",
+          hook: hooks.after,
+          auth: auth.after,
+          issues: issues.after,
+        })
+      );
 
       // Generate diff with progress indication
-      console.log(
+      log(
         formatPairLog(pairId, "diff", "Generating difference image..."),
       );
       const diffPath = path.join(diffsDir, `${pairId}-diff.png`);
-      const diffResult = await generateDiff(
-        beforePath,
-        afterPath,
-        diffPath,
+      const diffResult = await timed("diff", () =>
+        generateDiff(
+          beforePath,
+          afterPath,
+          diffPath,
+          {
+            threshold: pairOptions.threshold,
+            includeAa: pairOptions.includeAa,
+            alpha: pairOptions.alpha,
+            diffColor: pairOptions.diffColor,
+            diffColorAlt: pairOptions.diffColorAlt,
+            diffMode: pairOptions.diffMode,
+            align: pairOptions.align,
+          },
+        )
       );
 
+      // Baselines only keep the screenshot, so there is no before DOM or
+      // text to compare with
+      const dom = beforeCapture && beforeCapture.dom && afterCapture.dom
+        ? diffDomSnapshots(beforeCapture.dom, afterCapture.dom)
+        : undefined;
+      const text = beforeCapture && beforeCapture.text !== null &&
+          afterCapture.text !== null
+        ? diffText(beforeCapture.text, afterCapture.text)
+        : undefined;
+      if (text) text.textOnly = isTextOnlyChange(text, dom);
+      const accessibility =
+        beforeCapture && beforeCapture.accessibility &&
+          afterCapture.accessibility
+          ? diffAccessibilityTrees(
+            beforeCapture.accessibility,
+            afterCapture.accessibility,
+          )
+          : undefined;
+
+      if (diffResult.sizeWarning) {
+        log(formatPairLog(pairId, "diff", `⚠️  ${diffResult.sizeWarning}`));
+      }
       const diffStatus = diffResult.diffPercentage === "0.00"
         ? `No differences found! 🎉`
         : `${diffResult.diffPercentage}% difference (${diffResult.pixelDiff.toLocaleString()} pixels)`;
-      console.log(formatPairLog(pairId, "success", diffStatus));
+      log(formatPairLog(pairId, "success", diffStatus));
 
-      // Update overall progress
-      overallProgress.update(i + 1, `Completed ${pairId}`);
-
-      results.push({
+      const result = {
         id: pairId,
+        group,
+        name: pair.name || pair.path,
+        viewport: viewport ? viewport.label : undefined,
+        device: device ? device.name : undefined,
+        colorScheme: colorScheme || undefined,
+        media: pairOptions.media,
+        selector: pairOptions.selector,
         beforeUrl: pair.before,
         afterUrl: pair.after,
         beforeImage: path.relative(outputDir, beforePath),
@@ -1099,55 +2124,386 @@ async function runVRT(urlPairs, options) {
         diffImage: path.relative(outputDir, diffPath),
         pixelDiff: diffResult.pixelDiff,
         diffPercentage: diffResult.diffPercentage,
+        ssim: diffResult.ssim,
+        ssimImage: diffResult.ssimPath
+          ? path.relative(outputDir, diffResult.ssimPath)
+          : undefined,
+        alignedBeforeImage: diffResult.alignedPaths
+          ? path.relative(outputDir, diffResult.alignedPaths.before)
+          : undefined,
+        alignedAfterImage: diffResult.alignedPaths
+          ? path.relative(outputDir, diffResult.alignedPaths.after)
+          : undefined,
+        regions: diffResult.regions,
+        bands: diffResult.bands,
+        diffSize: diffResult.size,
         sizeWarning: diffResult.sizeWarning,
-      });
+        dom,
+        text,
+        accessibility,
+        issues: compareSides(),
+        timings: { ...timings, total: Date.now() - startedAt },
+      };
+      result.failure = getFailureReason(result, pairOptions);
+      if (result.failure) {
+        log(formatPairLog(pairId, "error", result.failure));
+      }
+      return result;
     } catch (error) {
-      console.log(
+      log(
         formatPairLog(
           pairId,
           "error",
           `Processing failed: ${error.message}`,
         ),
       );
-      overallProgress.update(i + 1, `Failed ${pairId}`);
-      results.push({
+      const result = {
         id: pairId,
+        group,
+        name: pair.name || pair.path,
+        viewport: viewport ? viewport.label : undefined,
+        device: device ? device.name : undefined,
+        colorScheme: colorScheme || undefined,
+        media: pairOptions.media,
+        selector: pairOptions.selector,
         beforeUrl: pair.before,
         afterUrl: pair.after,
         error: error.message,
-      });
+        issues: compareSides(),
+        timings: { ...timings, total: Date.now() - startedAt },
+      };
+      result.failure = getFailureReason(result, pairOptions);
+      return result;
+    } finally {
+      if (page) {
+        await page.browserContext().close().catch(() => {});
+      }
     }
+  };
+
+  let completed = 0;
+  let results;
+  try {
+    results = await runPool(jobs, maxConcurrency, async (job) => {
+      const pairId = job.id;
+
+      // With several pairs in flight, buffer each pair's log lines and
+      // print them as one block once the pair is done
+      const bufferedLogs = [];
+      const log = maxConcurrency > 1 && !options.quiet
+        ? (line) => bufferedLogs.push(line)
+        : print;
+
+      const result = await processPair(job, log);
+
+      if (bufferedLogs.length > 0) {
+        // Clear the progress bar line before printing the block
+        process.stdout.write("\r\x1b[K");
+        bufferedLogs.forEach((line) => print(line));
+      }
+
+      completed += 1;
+      overallProgress.update(
+        completed,
+        `${result.error ? "Failed" : "Completed"} ${pairId}`,
+      );
+      return result;
+    });
+  } finally {
+    await browser.close();
+  }
+
+  // Generate HTML report plus machine-readable results
+  const reportPath = await generateReport(results, outputDir);
+  const run = { startedAt: runStartedAt, durationMs: Date.now() - runStartedAt };
+  const resultsPath = await writeResultsJson(results, outputDir, run);
+  const junitPath = options.junit
+    ? await writeJUnitReport(results, options.junit, run)
+    : null;
+  const failures = results.filter((result) => result.failure);
+
+  print("\n" + "═".repeat(60));
+  if (failures.length === 0) {
+    print("🎊 VRT completed successfully!");
+  } else {
+    print(`💥 VRT failed: ${failures.length} pair(s) failed`);
+    failures.forEach((result) => {
+      print(`   ${result.id}: ${result.failure}`);
+    });
+  }
+  print(`📄 Report saved to: ${reportPath}`);
+  print(`🧾 Results saved to: ${resultsPath}`);
+  if (junitPath) {
+    print(`🧪 JUnit report saved to: ${junitPath}`);
+  }
+  print("═".repeat(60));
+
+  if (options.open !== false) {
+    const { default: open } = await import("open");
+    await open(reportPath);
+  }
+
+  return { results, failures, reportPath, resultsPath, junitPath };
+}
+
+// Decide whether a finished pair breaks the run's budget. Returns a reason
+// for the failure or null when the pair is within budget.
+function getFailureReason(result, options) {
+  if (result.error) {
+    return options.failOnError ? `Errored: ${result.error}` : null;
+  }
+
+  if (options.failOnDiff !== undefined && options.failOnDiff !== null) {
+    const limit = parseFloat(options.failOnDiff);
+    if (parseFloat(result.diffPercentage) > limit) {
+      return `${result.diffPercentage}% difference exceeds the ${limit}% budget`;
+    }
+  }
+
+  if (
+    options.failOnSsim !== undefined && options.failOnSsim !== null &&
+    result.ssim !== undefined
+  ) {
+    const minimum = parseFloat(options.failOnSsim);
+    if (result.ssim < minimum) {
+      return `SSIM ${result.ssim} is below the ${minimum} minimum`;
+    }
+  }
+
+  return null;
+}
+
+// A baseline is a single image, so it cannot hold both schemes
+const COLOR_SCHEME_BOTH_BASELINE_ERROR =
+  "--color-scheme both is not supported for baselines; snapshot and compare each scheme with its own --baseline-dir";
+
+// Each baseline is stored at one viewport, and captures named after a
+// viewport would have no manifest entry to be approved into
+const VIEWPORTS_BASELINE_ERROR =
+  "--viewports is not supported for baselines; snapshot and compare each viewport with --width/--height and its own --baseline-dir";
+
+async function runSnapshot(urls, options) {
+  const store = new BaselineStore(options.baselineDir);
+  const manifest = await store.loadManifest();
+
+  const targets = urls.length > 0
+    ? urls.map((url) => ({ id: createUrlId(url), url }))
+    : Object.entries(manifest).map(([id, entry]) => ({ id, url: entry.url }));
+
+  if (targets.length === 0) {
+    console.error(
+      "Error: Please provide URLs to capture (quick-vrt snapshot <url...>)",
+    );
+    process.exit(1);
+  }
+  if (options.viewports) {
+    throw new Error(VIEWPORTS_BASELINE_ERROR);
   }
 
+  if (options.colorScheme === "both") {
+    throw new Error(COLOR_SCHEME_BOTH_BASELINE_ERROR);
+  }
+
+  const device = options.device
+    ? resolveDevice(options.device, await loadDevicesFile(options))
+    : null;
+  const captureOptions = { ...options, ...resolveCaptureSize(options, device) };
+  // Baselines are the reference side of a later compare
+  const hooks = loadHooks(options.hook, "--hook");
+  const auth = await loadAuth(options, "before");
+
+  await fs.mkdir(store.baselineDir, { recursive: true });
+
+  console.log("\n📸 Capturing baseline screenshots...");
+  console.log(`📊 Processing ${targets.length} URL(s)`);
+  console.log("─".repeat(60));
+
+  const browser = await puppeteer.launch();
+  const results = await runPool(
+    targets,
+    parseInt(options.concurrency) || 1,
+    async ({ id, url }) => {
+      let page;
+      try {
+        page = await openCapturePage(browser, captureOptions, device);
+        // Baselines keep only the screenshot
+        await processPage(page, url, store.baselinePath(id), {
+          pairId: id,
+          type: "before",
+          options: {
+            ...captureOptions,
+            domDiff: false,
+            textDiff: false,
+            accessibilityDiff: false,
+          },
+          hook: hooks.before,
+          auth,
+        });
+        return {
+          id,
+          url,
+          width: captureOptions.width,
+          height: captureOptions.height,
+          device: device ? device.name : undefined,
+          selector: captureOptions.selector,
+          colorScheme: captureOptions.colorScheme,
+          media: captureOptions.media,
+        };
+      } catch (error) {
+        console.log(
+          formatPairLog(id, "error", `Capture failed: ${error.message}`),
+        );
+        return { id, url, error: error.message };
+      } finally {
+        if (page) {
+          await page.browserContext().close().catch(() => {});
+        }
+      }
+    },
+  );
   await browser.close();
 
-  // Generate HTML report
-  const reportPath = await generateReport(results, outputDir);
+  const captured = results.filter((result) => !result.error);
+  const failures = results.filter((result) => result.error);
+  await store.recordBaselines(captured);
 
   console.log("\n" + "═".repeat(60));
-  console.log("🎊 VRT completed successfully!");
-  console.log(`📄 Report saved to: ${reportPath}`);
+  console.log(`🎊 Saved ${captured.length} baseline(s) to ${store.baselineDir}`);
+  if (failures.length > 0) {
+    console.log(`💥 ${failures.length} URL(s) could not be captured`);
+  }
   console.log("═".repeat(60));
 
-  if (options.open !== false) {
-    const { default: open } = await import("open");
-    await open(reportPath);
+  return { results, failures };
+}
+
+async function runBaselineCompare(urls, options) {
+  const store = new BaselineStore(options.baselineDir);
+  const manifest = await store.loadManifest();
+
+  const ids = urls.length > 0 ? urls.map(createUrlId) : Object.keys(manifest);
+  if (ids.length === 0) {
+    console.error(
+      `Error: No baselines found in ${store.baselineDir}. Run quick-vrt snapshot first.`,
+    );
+    process.exit(1);
+  }
+
+  const missing = urls.filter((url) => !manifest[createUrlId(url)]);
+  if (missing.length > 0) {
+    console.error("Error: No baseline for:");
+    missing.forEach((url) => console.error(`  ${url}`));
+    console.error("Run quick-vrt snapshot for these URLs first.");
+    process.exit(1);
+  }
+  if (options.viewports) {
+    throw new Error(VIEWPORTS_BASELINE_ERROR);
+  }
+
+  if (options.colorScheme === "both") {
+    throw new Error(COLOR_SCHEME_BOTH_BASELINE_ERROR);
+  }
+
+  // Captures use the viewport, device, selector and media emulation the
+  // baseline was taken with
+  const pairs = ids.map((id) => ({
+    name: id,
+    before: `Baseline (${manifest[id].updatedAt})`,
+    beforeImage: store.baselinePath(id),
+    after: manifest[id].url,
+    options: {
+      width: manifest[id].width,
+      height: manifest[id].height,
+      device: manifest[id].device,
+      selector: manifest[id].selector,
+      colorScheme: manifest[id].colorScheme,
+      media: manifest[id].media,
+    },
+  }));
+
+  const run = await runVRT(pairs, options);
+
+  // Keep changed captures so they can be approved as the new baselines. A
+  // pending capture from an earlier run is dropped once the page matches
+  // its baseline again, so approve cannot bring it back.
+  const outputDir = path.resolve(options.output);
+  const isChanged = (result) =>
+    parseFloat(result.diffPercentage) > 0 || Boolean(result.sizeWarning);
+  const compared = run.results.filter((result) =>
+    !result.error && manifest[result.id]
+  );
+  const changed = compared.filter(isChanged);
+  for (const result of changed) {
+    await store.savePending(result.id, path.join(outputDir, result.afterImage));
+  }
+  for (const result of compared.filter((result) => !isChanged(result))) {
+    await fs.rm(store.pendingPath(result.id), { force: true });
+  }
+
+  if (changed.length > 0) {
+    console.log(
+      `📝 ${changed.length} changed capture(s) pending. Run quick-vrt approve to accept them.`,
+    );
+  }
+
+  return run;
+}
+
+async function runApprove(ids, options) {
+  const store = new BaselineStore(options.baselineDir);
+  const pending = await store.listPending();
+
+  if (pending.length === 0) {
+    console.log("No pending captures to approve.");
+    return;
+  }
+
+  const targets = ids.length > 0 ? ids : pending;
+  const unknown = targets.filter((id) => !pending.includes(id));
+  if (unknown.length > 0) {
+    console.error(`Error: No pending capture for: ${unknown.join(", ")}`);
+    console.error(`Pending: ${pending.join(", ")}`);
+    process.exit(1);
   }
+
+  await store.approve(targets);
+  targets.forEach((id) => console.log(`✅ Approved ${id}`));
+  console.log(`🎊 ${targets.length} baseline(s) updated in ${store.baselineDir}`);
 }
 
-async function generateDiff(beforePath, afterPath, diffPath) {
-  const beforeImg = PNG.sync.read(await fs.readFile(beforePath));
+async function generateDiff(beforePath, afterPath, diffPath, diffOptions = {}) {
+  let beforeImg = PNG.sync.read(await fs.readFile(beforePath));
   const afterImg = PNG.sync.read(await fs.readFile(afterPath));
+  const align = diffOptions.align || DEFAULT_ALIGN;
 
   let { width, height } = beforeImg;
   let resizedAfterImg = afterImg;
   let sizeWarning = null;
+  let bands = [];
+  let alignedPaths = null;
 
   // Check if image sizes are different
   if (beforeImg.width !== afterImg.width || beforeImg.height !== afterImg.height) {
     sizeWarning = `Image size mismatch: Before(${beforeImg.width}×${beforeImg.height}) vs After(${afterImg.width}×${afterImg.height})`;
-    console.warn(`⚠️  ${sizeWarning}`);
-    
+  }
+
+  if (sizeWarning && align !== "stretch") {
+    // Line the images up and keep the aligned copies for the report, since
+    // diff coordinates no longer match the original screenshots
+    const aligned = alignImages(beforeImg, afterImg, align);
+    beforeImg = aligned.before;
+    resizedAfterImg = aligned.after;
+    ({ width, height } = beforeImg);
+    bands = aligned.bands;
+    sizeWarning += `, aligned by ${align}`;
+
+    alignedPaths = {
+      before: diffPath.replace(/(-diff)?\.png$/, "-before-aligned.png"),
+      after: diffPath.replace(/(-diff)?\.png$/, "-after-aligned.png"),
+    };
+    await fs.writeFile(alignedPaths.before, PNG.sync.write(beforeImg));
+    await fs.writeFile(alignedPaths.after, PNG.sync.write(resizedAfterImg));
+  } else if (sizeWarning) {
     // Resize the after image to match the before image
     const sharp = require('sharp');
     try {
@@ -1157,7 +2513,8 @@ async function generateDiff(beforePath, afterPath, diffPath) {
         .toBuffer();
       resizedAfterImg = PNG.sync.read(resizedBuffer);
     } catch (error) {
-      console.error('Failed to resize image with sharp, using original size:', error.message);
+      // Reported with the size warning by the caller
+      sizeWarning += `, resize failed (${error.message}), padded instead`;
       // Use the larger dimensions to avoid array bounds issues
       width = Math.max(beforeImg.width, afterImg.width);
       height = Math.max(beforeImg.height, afterImg.height);
@@ -1176,23 +2533,658 @@ async function generateDiff(beforePath, afterPath, diffPath) {
     }
   }
 
+  const diffMode = diffOptions.diffMode || "pixel";
   const diff = new PNG({ width, height });
+  const pixelmatchOptions = toPixelmatchOptions(diffOptions);
 
+  // The pixel count is always computed. In ssim mode the heatmap replaces
+  // the diff image, so pixelmatch only draws a mask of the changed pixels.
   const pixelDiff = pixelmatch(
     beforeImg.data,
     resizedAfterImg.data,
     diff.data,
     width,
     height,
-    { threshold: 0.1 },
+    { ...pixelmatchOptions, diffMask: diffMode === "ssim" },
   );
 
-  await fs.writeFile(diffPath, PNG.sync.write(diff));
+  if (diffMode !== "ssim") {
+    await fs.writeFile(diffPath, PNG.sync.write(diff));
+  }
 
   const totalPixels = width * height;
   const diffPercentage = ((pixelDiff / totalPixels) * 100).toFixed(2);
 
-  return { pixelDiff, diffPercentage, sizeWarning };
+  // Bounding boxes of the changes, read from the diff image. Only diff
+  // colors that cannot be told apart from the rest of it need a second
+  // pass that draws a mask.
+  let regions = [];
+  if (pixelDiff > 0) {
+    let isChanged = diffMode === "ssim"
+      ? (x, y) => diff.data[(y * width + x) * 4 + 3] > 0
+      : findChangedPixels(diff.data, width, pixelmatchOptions);
+    if (!isChanged) {
+      const mask = new PNG({ width, height });
+      pixelmatch(
+        beforeImg.data,
+        resizedAfterImg.data,
+        mask.data,
+        width,
+        height,
+        { ...pixelmatchOptions, diffMask: true },
+      );
+      isChanged = (x, y) => mask.data[(y * width + x) * 4 + 3] > 0;
+    }
+    regions = findChangedRegions(isChanged, width, height);
+  }
+  const size = { width, height };
+
+  if (diffMode === "pixel") {
+    return {
+      pixelDiff,
+      diffPercentage,
+      regions,
+      size,
+      sizeWarning,
+      bands,
+      alignedPaths,
+    };
+  }
+
+  // Structural similarity: 1 means identical, lower means more visible
+  // change. In ssim mode the heatmap takes the place of the diff image.
+  const ssimResult = computeSsim(
+    beforeImg.data,
+    resizedAfterImg.data,
+    width,
+    height,
+  );
+  const ssimPath = diffMode === "ssim"
+    ? diffPath
+    : diffPath.replace(/(-diff)?\.png$/, "-ssim.png");
+  const heatmap = renderSsimHeatmap(
+    beforeImg.data,
+    width,
+    height,
+    ssimResult,
+    diffOptions.diffColor !== undefined
+      ? parseColor(diffOptions.diffColor)
+      : undefined,
+  );
+  await fs.writeFile(ssimPath, PNG.sync.write(heatmap));
+
+  return {
+    pixelDiff,
+    diffPercentage,
+    ssim: Number(ssimResult.score.toFixed(4)),
+    ssimPath,
+    regions,
+    size,
+    sizeWarning,
+    bands,
+    alignedPaths,
+  };
+}
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+// Label of a result within its group: its viewport and/or color scheme
+function getVariantLabel(result) {
+  return [result.viewport, result.colorScheme].filter(Boolean).join(" ");
+}
+
+// Changes listed as "jump to change" links per comparison
+const MAX_CHANGE_LINKS = 20;
+
+// An image of a comparison with the changed regions outlined and the
+// added/removed bands shaded. Coordinates are in diff image pixels;
+// percentages keep them aligned when the image is scaled (and with an
+// after image of another size, which is stretched to the before size or
+// shown as its aligned copy). Boxes on the diff image get ids so the change
+// links can jump to them.
+function renderImageWithRegions(src, alt, result, withIds = false) {
+  const regions = result.regions || [];
+  const bands = result.bands || [];
+  if ((regions.length === 0 && bands.length === 0) || !result.diffSize) {
+    return `<img src="${src}" alt="${alt}">`;
+  }
+
+  const { width, height } = result.diffSize;
+  const bandBoxes = bands.map((band) => {
+    const style = [
+      `top: ${((band.y / height) * 100).toFixed(4)}%`,
+      `height: ${((band.height / height) * 100).toFixed(4)}%`,
+    ].join("; ");
+    return `<div class="band-box ${band.type}" style="${style}"></div>`;
+  }).join("");
+  const boxes = bandBoxes + regions.map((region, index) => {
+    const id = withIds ? ` id="${result.id}-change-${index + 1}"` : "";
+    const style = [
+      `left: ${((region.x / width) * 100).toFixed(4)}%`,
+      `top: ${((region.y / height) * 100).toFixed(4)}%`,
+      `width: ${((region.width / width) * 100).toFixed(4)}%`,
+      `height: ${((region.height / height) * 100).toFixed(4)}%`,
+    ].join("; ");
+    return `<div class="change-box"${id} style="${style}"></div>`;
+  }).join("");
+
+  return `<div class="region-frame"><img src="${src}" alt="${alt}">${boxes}</div>`;
+}
+
+function renderChangeLinks(result) {
+  const regions = result.regions || [];
+  if (regions.length === 0) return "";
+
+  const links = regions.slice(0, MAX_CHANGE_LINKS).map((region, index) => `
+                    <a class="change-link" href="#${result.id}-change-${index + 1}" data-target="${result.id}">
+                        #${index + 1} at y=${region.y} (${region.width}×${region.height})
+                    </a>`).join("");
+  const more = regions.length > MAX_CHANGE_LINKS
+    ? `<span class="change-more">+${regions.length - MAX_CHANGE_LINKS} more</span>`
+    : "";
+
+  return `
+                <div class="change-list">
+                    <strong>${regions.length} changed region(s):</strong>${links}
+                    ${more}
+                </div>`;
+}
+
+// Bands of rows found on one side only when screenshots of different
+// heights were aligned
+function renderBandList(result) {
+  const bands = result.bands || [];
+  if (bands.length === 0) return "";
+
+  const items = bands.map((band) =>
+    band.type === "added"
+      ? `<span class="band-item added">+${band.height}px added at y=${band.afterY} of After</span>`
+      : `<span class="band-item removed">−${band.height}px removed at y=${band.beforeY} of Before</span>`
+  ).join("");
+
+  return `
+                <div class="band-list">
+                    <strong>${bands.length} band(s) added or removed:</strong>${items}
+                </div>`;
+}
+
+// DOM changes listed per comparison; results.json has up to 200
+const MAX_DOM_CHANGE_ROWS = 50;
+
+const DOM_CHANGE_LABELS = {
+  added: "added",
+  removed: "removed",
+  moved: "moved",
+  resized: "resized",
+  restyled: "restyled",
+  attributes: "attributes changed",
+};
+
+function formatBox(box) {
+  return `${box.width}×${box.height} at ${box.x},${box.y}`;
+}
+
+function formatValueChanges(values) {
+  return Object.entries(values).map(([name, [before, after]]) =>
+    `${name}: ${before ?? "(none)"} → ${after ?? "(none)"}`
+  );
+}
+
+// What changed about one element of a DOM change
+function describeDomChange(change) {
+  if (change.type === "added") {
+    return `${change.elements} element(s), ${formatBox(change.after)}`;
+  }
+  if (change.type === "removed") {
+    return `${change.elements} element(s), ${formatBox(change.before)}`;
+  }
+
+  const details = [];
+  if (change.kinds.includes("moved") || change.kinds.includes("resized")) {
+    details.push(`${formatBox(change.before)} → ${formatBox(change.after)}`);
+  }
+  details.push(...formatValueChanges(change.styles));
+  details.push(...formatValueChanges(change.attributes));
+  return details.join("; ");
+}
+
+// Structural explanation of a pixel diff: which elements were added,
+// removed, moved, resized or restyled between the two DOM snapshots
+function renderDomChanges(result) {
+  const dom = result.dom;
+  if (!dom) return "";
+
+  const counts = Object.entries(dom.summary)
+    .filter(([, count]) => count > 0)
+    .map(([kind, count]) =>
+      `<span class="dom-kind ${kind}">${count} ${DOM_CHANGE_LABELS[kind]}</span>`
+    );
+  if (counts.length === 0) {
+    return `
+                <div class="dom-changes">No DOM changes</div>`;
+  }
+
+  const rows = dom.changes.slice(0, MAX_DOM_CHANGE_ROWS).map((change) => {
+    const kinds = change.type === "changed" ? change.kinds : [change.type];
+    return `
+                        <tr>
+                            <td>${kinds.map((kind) => `<span class="dom-kind ${kind}">${DOM_CHANGE_LABELS[kind]}</span>`).join(" ")}</td>
+                            <td><code>${escapeHtml(change.path)}</code></td>
+                            <td>${escapeHtml(describeDomChange(change))}</td>
+                        </tr>`;
+  }).join("");
+  const hidden = Math.max(0, dom.changes.length - MAX_DOM_CHANGE_ROWS) +
+    dom.omitted;
+  const more = hidden > 0
+    ? `<div class="change-more">+${hidden} more change(s)</div>`
+    : "";
+  const truncated = dom.truncated
+    ? `<div class="change-more">Large page: only part of the DOM was compared</div>`
+    : "";
+
+  return `
+                <details class="dom-changes">
+                    <summary><strong>DOM changes:</strong> ${counts.join(" ")}</summary>
+                    <table class="dom-table">${rows}
+                    </table>
+                    ${more}${truncated}
+                </details>`;
+}
+
+// Word-level diff of the visible text, with long unchanged runs collapsed
+function renderTextDiff(result) {
+  const text = result.text;
+  if (!text) return "";
+  if (!text.changed) {
+    return `
+                <div class="text-diff">No text changes</div>`;
+  }
+
+  const body = text.segments.map((segment) => {
+    if (segment.type === "skipped") {
+      return `<span class="text-skipped">… ${segment.words} unchanged words …</span>`;
+    }
+    if (segment.type === "added") return `<ins>${escapeHtml(segment.text)}</ins>`;
+    if (segment.type === "removed") return `<del>${escapeHtml(segment.text)}</del>`;
+    return `<span>${escapeHtml(segment.text)}</span>`;
+  }).join(" ");
+
+  return `
+                <details class="text-diff" open>
+                    <summary><strong>Text changes:</strong> <span class="text-added">+${text.added}</span> / <span class="text-removed">−${text.removed}</span> words</summary>
+                    <div class="text-diff-body">${body}</div>
+                </details>`;
+}
+
+// Accessibility node changes listed per comparison
+const MAX_ACCESSIBILITY_ROWS = 50;
+
+function formatAccessibleName(name) {
+  return name ? `"${name}"` : "(no name)";
+}
+
+function formatHeading(heading) {
+  return `H${heading.level} ${formatAccessibleName(heading.name)}`;
+}
+
+function formatLandmark(landmark) {
+  const name = landmark.name ? ` "${landmark.name}"` : "";
+  return `${"— ".repeat(landmark.depth)}${landmark.role}${name}`;
+}
+
+// Before and after outlines side by side; entries missing on the other
+// side are highlighted
+function renderOutlines(title, outlines, format) {
+  const list = (items, other) => {
+    const otherLabels = new Set(other.map(format));
+    if (items.length === 0) return `<li class="a11y-empty">(none)</li>`;
+    return items.map((item) => {
+      const label = format(item);
+      const missing = otherLabels.has(label) ? "" : " class=\"a11y-missing\"";
+      return `<li${missing}>${escapeHtml(label)}</li>`;
+    }).join("");
+  };
+
+  return `
+                <div class="a11y-outlines">
+                    <div>
+                        <h4>${title} (before)</h4>
+                        <ul>${list(outlines.before, outlines.after)}</ul>
+                    </div>
+                    <div>
+                        <h4>${title} (after)</h4>
+                        <ul>${list(outlines.after, outlines.before)}</ul>
+                    </div>
+                </div>`;
+}
+
+function describeAccessibilityChange(change) {
+  if (change.type !== "changed") {
+    const level = change.level ? ` (level ${change.level})` : "";
+    return `${formatAccessibleName(change.name)}${level}`;
+  }
+
+  const details = [];
+  if (change.before.name !== change.after.name) {
+    details.push(
+      `${formatAccessibleName(change.before.name)} → ${
+        formatAccessibleName(change.after.name)
+      }`,
+    );
+  }
+  if (change.before.level !== change.after.level) {
+    details.push(`level ${change.before.level} → ${change.after.level}`);
+  }
+  return details.join(", ");
+}
+
+// Accessibility tree changes of one comparison
+function renderAccessibilityChanges(result) {
+  const diff = result.accessibility;
+  const rows = diff.changes.slice(0, MAX_ACCESSIBILITY_ROWS).map((change) => `
+                        <tr>
+                            <td><span class="dom-kind ${change.type}">${change.type}</span></td>
+                            <td><code>${escapeHtml(change.role)}</code></td>
+                            <td>${escapeHtml(describeAccessibilityChange(change))}</td>
+                        </tr>`).join("");
+  const hidden = Math.max(0, diff.changes.length - MAX_ACCESSIBILITY_ROWS) +
+    diff.omitted;
+
+  return `
+            <div class="a11y-result" id="${result.id}-accessibility">
+                <div class="comparison-title">${escapeHtml(getResultTitle(result))}</div>
+                <div class="stats">
+                    <div class="stat">${diff.summary.added} added</div>
+                    <div class="stat">${diff.summary.removed} removed</div>
+                    <div class="stat">${diff.summary.changed} renamed or releveled</div>
+                    ${diff.headings.changed ? `<div class="stat warning">Heading outline changed</div>` : ""}
+                    ${diff.landmarks.changed ? `<div class="stat warning">Landmark structure changed</div>` : ""}
+                </div>
+                ${diff.headings.changed ? renderOutlines("Headings", diff.headings, formatHeading) : ""}
+                ${diff.landmarks.changed ? renderOutlines("Landmarks", diff.landmarks, formatLandmark) : ""}
+                ${rows ? `<table class="dom-table">${rows}
+                </table>` : ""}
+                ${hidden > 0 ? `<div class="change-more">+${hidden} more change(s)</div>` : ""}
+            </div>`;
+}
+
+// Accessibility tree diffs of all comparisons, in a section of their own
+// below the screenshots
+function renderAccessibilitySection(results) {
+  const compared = results.filter((result) => result.accessibility);
+  if (compared.length === 0) return "";
+
+  const changed = compared.filter((result) =>
+    hasAccessibilityChanges(result.accessibility)
+  );
+  const body = changed.length > 0
+    ? changed.map(renderAccessibilityChanges).join("")
+    : `
+            <p class="a11y-none">No accessibility tree changes in ${compared.length} comparison(s)</p>`;
+
+  return `
+        <section class="accessibility-report">
+            <h2>♿ Accessibility Tree</h2>${body}
+        </section>`;
+}
+
+const ISSUE_LABELS = {
+  "console-error": "console error",
+  "console-warning": "console warning",
+  exception: "exception",
+  "request-failed": "request failed",
+  response: "HTTP status",
+};
+
+function renderIssueList(issues, omitted = 0) {
+  if (issues === null) {
+    return `<li class="issue-none">Baseline screenshot, not recorded</li>`;
+  }
+  if (issues.length === 0) return `<li class="issue-none">No issues</li>`;
+
+  const items = issues.map((issue) => `
+                            <li class="issue ${issue.type}${issue.new ? " new" : ""}">
+                                <span class="issue-type">${ISSUE_LABELS[issue.type]}</span>
+                                ${issue.new ? `<span class="issue-new">new</span>` : ""}
+                                ${escapeHtml(issue.message)}
+                            </li>`).join("");
+  return omitted > 0
+    ? `${items}
+                            <li class="issue-none">…and ${omitted} more not listed</li>`
+    : items;
+}
+
+// Console errors and warnings, exceptions, failed requests and non-2xx
+// responses of both sides, with the ones new on the after side highlighted
+function renderIssues(result) {
+  const issues = result.issues;
+  if (!issues) return "";
+  const { omitted } = issues;
+  const beforeCount = issues.before
+    ? issues.before.length + omitted.before
+    : 0;
+  const afterCount = issues.after.length + omitted.after;
+  if (beforeCount + afterCount === 0) return "";
+
+  return `
+                <details class="page-issues"${issues.newCount > 0 ? " open" : ""}>
+                    <summary><strong>Console &amp; network:</strong> ${beforeCount} before, ${afterCount} after${issues.newCount > 0 ? `, <span class="issue-new">${issues.newCount} new</span>` : ""}</summary>
+                    <div class="issue-columns">
+                        <div>
+                            <h4>Before</h4>
+                            <ul>${renderIssueList(issues.before, omitted.before)}
+                            </ul>
+                        </div>
+                        <div>
+                            <h4>After</h4>
+                            <ul>${renderIssueList(issues.after, omitted.after)}
+                            </ul>
+                        </div>
+                    </div>
+                </details>`;
+}
+
+// Render one comparison block of the report
+function renderComparison(result) {
+  if (result.error) {
+    return `
+            <div class="comparison">
+                <div class="comparison-header">
+                    <div class="comparison-title">${escapeHtml(getResultTitle(result))}</div>
+                    <div class="urls">
+                        <div class="url">Before: ${escapeHtml(result.beforeUrl)}</div>
+                        <div class="url">After: ${escapeHtml(result.afterUrl)}</div>
+                    </div>
+                </div>
+                <div class="error-message">
+                    <strong>Error:</strong> ${escapeHtml(result.error)}
+                </div>${renderIssues(result)}
+            </div>
+        `;
+  }
+
+  const diffClass = parseFloat(result.diffPercentage) === 0
+    ? "success"
+    : parseFloat(result.diffPercentage) > 5
+    ? "error"
+    : "warning";
+  const ssimClass = result.ssim === 1
+    ? "success"
+    : result.ssim < 0.9
+    ? "error"
+    : "warning";
+  // In ssim mode the diff image is the heatmap; in both mode it is extra
+  const showsHeatmap = Boolean(result.ssimImage);
+  const hasExtraHeatmap = showsHeatmap && result.ssimImage !== result.diffImage;
+  // Screenshots of different sizes are shown as lined up for the diff
+  const beforeImage = result.alignedBeforeImage || result.beforeImage;
+  const afterImage = result.alignedAfterImage || result.afterImage;
+
+  return `
+        <div class="comparison">
+            <div class="comparison-header">
+                <div class="comparison-title">${escapeHtml(getResultTitle(result))}</div>
+                <div class="urls">
+                    <div class="url">Before: ${escapeHtml(result.beforeUrl)}</div>
+                    <div class="url">After: ${escapeHtml(result.afterUrl)}</div>
+                </div>
+                <div class="stats">
+                    ${result.selector ? `<div class="stat">🎯 Element: <code>${escapeHtml(result.selector)}</code></div>` : ''}
+                    <div class="stat ${diffClass}">
+                        <strong>${result.diffPercentage}%</strong> difference
+                    </div>
+                    <div class="stat">
+                        <strong>${result.pixelDiff.toLocaleString()}</strong> pixels changed
+                    </div>
+                    ${result.ssim !== undefined ? `<div class="stat ${ssimClass}"><strong>${result.ssim.toFixed(4)}</strong> SSIM</div>` : ''}
+                    ${result.sizeWarning ? `<div class="stat warning">⚠️ ${escapeHtml(result.sizeWarning)}</div>` : ''}
+                    ${result.text && result.text.textOnly ? `<div class="stat warning">✏️ Text-only change</div>` : ''}
+                    ${result.issues && result.issues.newCount > 0 ? `<div class="stat error">🐞 ${result.issues.newCount} new console/network issue(s)</div>` : ''}
+                    ${hasAccessibilityChanges(result.accessibility) ? `<div class="stat warning"><a href="#${result.id}-accessibility">♿ Accessibility tree changed</a></div>` : ''}
+                    ${result.failure ? `<div class="stat error">❌ ${escapeHtml(result.failure)}</div>` : ''}
+                </div>${renderChangeLinks(result)}${renderBandList(result)}${renderDomChanges(result)}${renderTextDiff(result)}${renderIssues(result)}
+            </div>
+            <div class="comparison-content">
+                <div class="view-modes">
+                    <div class="view-mode active" data-mode="side-by-side" data-target="${result.id}">
+                        Side by Side
+                    </div>
+                    <div class="view-mode" data-mode="slider" data-target="${result.id}">
+                        Slider
+                    </div>
+                    <div class="view-mode" data-mode="onion" data-target="${result.id}">
+                        Onion Skin
+                    </div>
+                    <div class="view-mode" data-mode="blink" data-target="${result.id}">
+                        Blink
+                    </div>
+                    <div class="view-mode" data-mode="difference" data-target="${result.id}">
+                        Difference
+                    </div>
+                </div>
+
+                <div class="side-by-side active${hasExtraHeatmap ? " with-heatmap" : ""}" id="${result.id}-side-by-side">
+                    <div class="image-section">
+                        <h4>Before</h4>
+                        <div class="image-container">
+                            ${renderImageWithRegions(beforeImage, "Before", result)}
+                        </div>
+                    </div>
+                    <div class="image-section">
+                        <h4>After</h4>
+                        <div class="image-container">
+                            ${renderImageWithRegions(afterImage, "After", result)}
+                        </div>
+                    </div>
+                    <div class="image-section">
+                        <h4>${showsHeatmap && !hasExtraHeatmap ? "SSIM Heatmap" : "Diff"}</h4>
+                        <div class="image-container">
+                            ${renderImageWithRegions(result.diffImage, "Diff", result, true)}
+                        </div>
+                    </div>
+                    ${hasExtraHeatmap ? `<div class="image-section">
+                        <h4>SSIM Heatmap</h4>
+                        <div class="image-container">
+                            <img src="${result.ssimImage}" alt="SSIM Heatmap">
+                        </div>
+                    </div>` : ''}
+                </div>
+
+                <div class="slider-container" id="${result.id}-slider">
+                    <div class="slider-images">
+                        <img class="slider-before" src="${beforeImage}" alt="Before">
+                        <img class="slider-after" src="${afterImage}" alt="After">
+                        <div class="slider-handle"></div>
+                    </div>
+                </div>
+
+                <div class="overlay-view onion-view" id="${result.id}-onion">
+                    <label class="overlay-control">
+                        Before <input type="range" class="onion-opacity" min="0" max="100" value="50"> After
+                    </label>
+                    <div class="overlay-images">
+                        <img src="${beforeImage}" alt="Before">
+                        <img class="overlay-after" src="${afterImage}" alt="After" style="opacity: 0.5">
+                    </div>
+                </div>
+
+                <div class="overlay-view blink-view" id="${result.id}-blink">
+                    <div class="overlay-control">
+                        Showing <strong class="blink-label"></strong> (click the image to pause)
+                    </div>
+                    <div class="overlay-images">
+                        <img src="${beforeImage}" alt="Before">
+                        <img class="overlay-after" src="${afterImage}" alt="After">
+                    </div>
+                </div>
+
+                <div class="overlay-view difference-view" id="${result.id}-difference">
+                    <div class="overlay-control">
+                        Identical pixels are black; anything lighter changed
+                    </div>
+                    <div class="overlay-images">
+                        <img src="${beforeImage}" alt="Before">
+                        <img class="overlay-after" src="${afterImage}" alt="After">
+                    </div>
+                </div>
+            </div>
+        </div>
+      `;
+}
+
+// Group results of the same pair captured at several viewports or color
+// schemes so the report can show them behind tabs
+function groupResults(results) {
+  const groups = [];
+  const byId = new Map();
+
+  for (const result of results) {
+    const groupId = result.group || result.id;
+    if (!byId.has(groupId)) {
+      const group = { id: groupId, results: [] };
+      byId.set(groupId, group);
+      groups.push(group);
+    }
+    byId.get(groupId).results.push(result);
+  }
+
+  return groups;
+}
+
+function renderResultGroup(group) {
+  if (group.results.length === 1) {
+    return renderComparison(group.results[0]);
+  }
+
+  const tabs = group.results.map((result, index) => {
+    const status = result.error
+      ? "error"
+      : parseFloat(result.diffPercentage) === 0
+      ? "identical"
+      : `${result.diffPercentage}%`;
+    return `
+                <div class="breakpoint-tab${index === 0 ? " active" : ""}" data-panel="${result.id}-panel">
+                    ${getVariantLabel(result)} <span class="breakpoint-status">${status}</span>
+                </div>`;
+  }).join("");
+
+  const panels = group.results.map((result, index) => `
+            <div class="breakpoint-panel${index === 0 ? " active" : ""}" id="${result.id}-panel">
+                ${renderComparison(result)}
+            </div>`).join("");
+
+  return `
+        <div class="comparison-group">
+            <div class="breakpoint-tabs">${tabs}
+            </div>${panels}
+        </div>
+      `;
 }
 
 async function generateReport(results, outputDir) {
@@ -1243,6 +3235,16 @@ async function generateReport(results, outputDir) {
             border-left: 4px solid #2196f3;
         }
         
+        .summary-item.failed {
+            background: #ffebee;
+            border-left-color: #d32f2f;
+        }
+
+        .summary-item.text-only {
+            background: #fff3e0;
+            border-left-color: #f57c00;
+        }
+        
         .container {
             max-width: 1400px;
             margin: 0 auto;
@@ -1256,93 +3258,353 @@ async function generateReport(results, outputDir) {
             overflow: hidden;
             box-shadow: 0 2px 8px rgba(0,0,0,0.1);
         }
-        
-        .comparison-header {
-            background: #f8f9fa;
-            padding: 15px 20px;
-            border-bottom: 1px solid #ddd;
+        
+        .comparison-header {
+            background: #f8f9fa;
+            padding: 15px 20px;
+            border-bottom: 1px solid #ddd;
+        }
+        
+        .comparison-title {
+            font-size: 18px;
+            font-weight: 600;
+            color: #2c3e50;
+            margin-bottom: 5px;
+        }
+        
+        .urls {
+            display: grid;
+            grid-template-columns: 1fr 1fr;
+            gap: 10px;
+            margin-top: 10px;
+        }
+        
+        .url {
+            font-size: 12px;
+            color: #666;
+            word-break: break-all;
+        }
+        
+        .stats {
+            display: flex;
+            gap: 20px;
+            margin-top: 10px;
+        }
+        
+        .stat {
+            font-size: 12px;
+        }
+        
+        .stat.warning {
+            color: #f57c00;
+        }
+        
+        .stat.success {
+            color: #388e3c;
+        }
+        
+        .stat.error {
+            color: #d32f2f;
+        }
+        
+        .comparison-content {
+            padding: 20px;
+        }
+        
+        .view-modes {
+            display: flex;
+            gap: 10px;
+            margin-bottom: 20px;
+        }
+        
+        .view-mode {
+            padding: 8px 16px;
+            border: 1px solid #ddd;
+            background: #f8f9fa;
+            border-radius: 4px;
+            cursor: pointer;
+            font-size: 14px;
+            transition: all 0.2s;
+        }
+        
+        .view-mode.active {
+            background: #2196f3;
+            color: white;
+            border-color: #2196f3;
+        }
+        
+        .image-container {
+            position: relative;
+            border: 1px solid #ddd;
+            border-radius: 4px;
+            overflow: hidden;
+            background: #f8f9fa;
+        }
+        
+        .side-by-side {
+            display: grid;
+            grid-template-columns: 1fr 1fr 1fr;
+            gap: 20px;
+        }
+
+        .region-frame {
+            position: relative;
+            width: fit-content;
+            max-width: 100%;
+        }
+
+        .change-box {
+            position: absolute;
+            border: 2px solid #ff00ff;
+            box-shadow: 0 0 0 1px rgba(255, 255, 255, 0.8);
+            pointer-events: none;
+        }
+
+        .change-box.flash {
+            background: rgba(255, 0, 255, 0.25);
+        }
+
+        .change-list {
+            display: flex;
+            flex-wrap: wrap;
+            gap: 6px 12px;
+            margin-top: 10px;
+            font-size: 12px;
+        }
+
+        .change-link {
+            color: #1976d2;
+            text-decoration: none;
+        }
+
+        .change-link:hover {
+            text-decoration: underline;
+        }
+
+        .change-more {
+            color: #666;
+        }
+
+        .band-box {
+            position: absolute;
+            left: 0;
+            width: 100%;
+            pointer-events: none;
+        }
+
+        .band-box.added {
+            background: rgba(56, 142, 60, 0.2);
+            border-top: 2px solid #388e3c;
+            border-bottom: 2px solid #388e3c;
+        }
+
+        .band-box.removed {
+            background: rgba(211, 47, 47, 0.2);
+            border-top: 2px solid #d32f2f;
+            border-bottom: 2px solid #d32f2f;
+        }
+
+        .band-list {
+            display: flex;
+            flex-wrap: wrap;
+            gap: 6px 12px;
+            margin-top: 10px;
+            font-size: 12px;
+        }
+
+        .band-item.added {
+            color: #388e3c;
+        }
+
+        .band-item.removed {
+            color: #d32f2f;
+        }
+
+        .dom-changes {
+            margin-top: 10px;
+            font-size: 12px;
+        }
+
+        .dom-changes summary {
+            cursor: pointer;
+        }
+
+        .dom-kind {
+            display: inline-block;
+            padding: 1px 6px;
+            border-radius: 3px;
+            background: #f0f0f0;
+            white-space: nowrap;
+        }
+
+        .dom-kind.added {
+            background: #e8f5e9;
+            color: #388e3c;
+        }
+
+        .dom-kind.removed {
+            background: #ffebee;
+            color: #d32f2f;
+        }
+
+        .dom-table {
+            width: 100%;
+            margin-top: 8px;
+            border-collapse: collapse;
+        }
+
+        .dom-table td {
+            padding: 4px 8px;
+            border-top: 1px solid #eee;
+            vertical-align: top;
+            text-align: left;
+        }
+
+        .dom-table code {
+            word-break: break-all;
+        }
+
+        .text-diff {
+            margin-top: 10px;
+            font-size: 12px;
+        }
+
+        .text-diff summary {
+            cursor: pointer;
+        }
+
+        .text-diff-body {
+            margin-top: 8px;
+            padding: 10px;
+            max-height: 300px;
+            overflow-y: auto;
+            background: #fafafa;
+            border-radius: 4px;
+            font-size: 13px;
+            line-height: 1.6;
+            white-space: pre-wrap;
+        }
+
+        .text-diff-body ins,
+        .text-added {
+            background: #e8f5e9;
+            color: #388e3c;
+            text-decoration: none;
+        }
+
+        .text-diff-body del,
+        .text-removed {
+            background: #ffebee;
+            color: #d32f2f;
+        }
+
+        .text-skipped {
+            color: #999;
+            font-style: italic;
+        }
+
+        .page-issues {
+            margin-top: 10px;
+            font-size: 12px;
         }
-        
-        .comparison-title {
-            font-size: 18px;
-            font-weight: 600;
-            color: #2c3e50;
-            margin-bottom: 5px;
+
+        .page-issues summary {
+            cursor: pointer;
         }
-        
-        .urls {
+
+        .issue-columns {
             display: grid;
             grid-template-columns: 1fr 1fr;
-            gap: 10px;
-            margin-top: 10px;
+            gap: 20px;
+            margin-top: 8px;
         }
-        
-        .url {
-            font-size: 12px;
-            color: #666;
-            word-break: break-all;
+
+        .issue-columns h4 {
+            margin-bottom: 6px;
         }
-        
-        .stats {
-            display: flex;
-            gap: 20px;
-            margin-top: 10px;
+
+        .issue-columns ul {
+            list-style: none;
         }
-        
-        .stat {
-            font-size: 12px;
+
+        .issue {
+            padding: 4px 6px;
+            border-top: 1px solid #eee;
+            word-break: break-all;
         }
-        
-        .stat.warning {
-            color: #f57c00;
+
+        .issue.new {
+            background: #ffebee;
         }
-        
-        .stat.success {
-            color: #388e3c;
+
+        .issue-type {
+            display: inline-block;
+            padding: 1px 6px;
+            border-radius: 3px;
+            background: #f0f0f0;
+            white-space: nowrap;
         }
-        
-        .stat.error {
+
+        .issue-new {
             color: #d32f2f;
+            font-weight: 600;
         }
-        
-        .comparison-content {
-            padding: 20px;
+
+        .issue-none {
+            color: #999;
         }
-        
-        .view-modes {
-            display: flex;
-            gap: 10px;
-            margin-bottom: 20px;
+
+        .accessibility-report {
+            background: #fff;
+            border-radius: 8px;
+            box-shadow: 0 2px 8px rgba(0,0,0,0.1);
+            margin-bottom: 30px;
+            padding: 20px;
         }
-        
-        .view-mode {
-            padding: 8px 16px;
-            border: 1px solid #ddd;
-            background: #f8f9fa;
-            border-radius: 4px;
-            cursor: pointer;
-            font-size: 14px;
-            transition: all 0.2s;
+
+        .accessibility-report h2 {
+            color: #2c3e50;
+            font-size: 20px;
+            margin-bottom: 10px;
         }
-        
-        .view-mode.active {
-            background: #2196f3;
-            color: white;
-            border-color: #2196f3;
+
+        .a11y-result {
+            padding: 15px 0;
+            border-top: 1px solid #eee;
+            font-size: 12px;
         }
-        
-        .image-container {
-            position: relative;
-            border: 1px solid #ddd;
-            border-radius: 4px;
-            overflow: hidden;
-            background: #f8f9fa;
+
+        .stat a {
+            color: inherit;
         }
-        
-        .side-by-side {
+
+        .a11y-outlines {
             display: grid;
-            grid-template-columns: 1fr 1fr 1fr;
+            grid-template-columns: 1fr 1fr;
             gap: 20px;
+            margin-top: 10px;
+        }
+
+        .a11y-outlines h4 {
+            margin-bottom: 6px;
+        }
+
+        .a11y-outlines ul {
+            list-style: none;
+        }
+
+        .a11y-outlines li.a11y-missing {
+            background: #fff3e0;
+            color: #e65100;
+        }
+
+        .a11y-empty,
+        .a11y-none {
+            color: #999;
+        }
+
+        .side-by-side.with-heatmap {
+            grid-template-columns: 1fr 1fr 1fr 1fr;
         }
         
         .image-section {
@@ -1416,6 +3678,111 @@ async function generateReport(results, outputDir) {
             transform: translate(-50%, -50%);
         }
         
+        .overlay-view {
+            display: none;
+            max-width: 800px;
+            margin: 0 auto;
+        }
+
+        .overlay-view.active {
+            display: block;
+        }
+
+        .overlay-control {
+            display: flex;
+            align-items: center;
+            justify-content: center;
+            gap: 10px;
+            margin-bottom: 10px;
+            font-size: 14px;
+        }
+
+        .overlay-images {
+            position: relative;
+            overflow: hidden;
+        }
+
+        .overlay-images img {
+            width: 100%;
+            display: block;
+        }
+
+        .overlay-images .overlay-after {
+            position: absolute;
+            top: 0;
+            left: 0;
+        }
+
+        .blink-view .overlay-images {
+            cursor: pointer;
+        }
+
+        .blink-view .overlay-after {
+            visibility: hidden;
+        }
+
+        .blink-view.show-after .overlay-after {
+            visibility: visible;
+        }
+
+        .blink-view .blink-label::before {
+            content: 'Before';
+        }
+
+        .blink-view.show-after .blink-label::before {
+            content: 'After';
+        }
+
+        .difference-view .overlay-images {
+            background: #000;
+        }
+
+        .difference-view .overlay-after {
+            mix-blend-mode: difference;
+        }
+
+        .comparison-group {
+            margin-bottom: 30px;
+        }
+        
+        .comparison-group .comparison {
+            margin-bottom: 0;
+            border-top-left-radius: 0;
+        }
+        
+        .breakpoint-tabs {
+            display: flex;
+            gap: 4px;
+        }
+        
+        .breakpoint-tab {
+            padding: 8px 16px;
+            background: #e0e0e0;
+            border-radius: 6px 6px 0 0;
+            cursor: pointer;
+            font-size: 14px;
+        }
+        
+        .breakpoint-tab.active {
+            background: #fff;
+            font-weight: 600;
+        }
+        
+        .breakpoint-status {
+            font-size: 12px;
+            font-weight: normal;
+            color: #666;
+            margin-left: 6px;
+        }
+        
+        .breakpoint-panel {
+            display: none;
+        }
+        
+        .breakpoint-panel.active {
+            display: block;
+        }
+        
         .error-message {
             background: #ffebee;
             border: 1px solid #ffcdd2;
@@ -1446,100 +3813,47 @@ async function generateReport(results, outputDir) {
             <div class="summary-item">
                 <strong>${results.filter((r) => r.error).length}</strong> errors
             </div>
+            ${
+    results.some((r) => r.text && r.text.textOnly)
+      ? `<div class="summary-item text-only">
+                <strong>${results.filter((r) => r.text && r.text.textOnly).length}</strong> text only
+            </div>`
+      : ""
+  }
+            ${
+    results.some((r) => r.failure)
+      ? `<div class="summary-item failed">
+                <strong>${results.filter((r) => r.failure).length}</strong> failed
+            </div>`
+      : ""
+  }
         </div>
     </div>
     
     <div class="container">
         ${
-    results.map((result) => {
-      if (result.error) {
-        return `
-                <div class="comparison">
-                    <div class="comparison-header">
-                        <div class="comparison-title">${result.id}</div>
-                        <div class="urls">
-                            <div class="url">Before: ${result.beforeUrl}</div>
-                            <div class="url">After: ${result.afterUrl}</div>
-                        </div>
-                    </div>
-                    <div class="error-message">
-                        <strong>Error:</strong> ${result.error}
-                    </div>
-                </div>
-            `;
-      }
-
-      const diffClass = parseFloat(result.diffPercentage) === 0
-        ? "success"
-        : parseFloat(result.diffPercentage) > 5
-        ? "error"
-        : "warning";
-
-      return `
-            <div class="comparison">
-                <div class="comparison-header">
-                    <div class="comparison-title">${result.id}</div>
-                    <div class="urls">
-                        <div class="url">Before: ${result.beforeUrl}</div>
-                        <div class="url">After: ${result.afterUrl}</div>
-                    </div>
-                    <div class="stats">
-                        <div class="stat ${diffClass}">
-                            <strong>${result.diffPercentage}%</strong> difference
-                        </div>
-                        <div class="stat">
-                            <strong>${result.pixelDiff.toLocaleString()}</strong> pixels changed
-                        </div>
-                        ${result.sizeWarning ? `<div class="stat warning">⚠️ ${result.sizeWarning}</div>` : ''}
-                    </div>
-                </div>
-                <div class="comparison-content">
-                    <div class="view-modes">
-                        <div class="view-mode active" data-mode="side-by-side" data-target="${result.id}">
-                            Side by Side
-                        </div>
-                        <div class="view-mode" data-mode="slider" data-target="${result.id}">
-                            Slider
-                        </div>
-                    </div>
-                    
-                    <div class="side-by-side active" id="${result.id}-side-by-side">
-                        <div class="image-section">
-                            <h4>Before</h4>
-                            <div class="image-container">
-                                <img src="${result.beforeImage}" alt="Before">
-                            </div>
-                        </div>
-                        <div class="image-section">
-                            <h4>After</h4>
-                            <div class="image-container">
-                                <img src="${result.afterImage}" alt="After">
-                            </div>
-                        </div>
-                        <div class="image-section">
-                            <h4>Diff</h4>
-                            <div class="image-container">
-                                <img src="${result.diffImage}" alt="Diff">
-                            </div>
-                        </div>
-                    </div>
-                    
-                    <div class="slider-container" id="${result.id}-slider">
-                        <div class="slider-images">
-                            <img class="slider-before" src="${result.beforeImage}" alt="Before">
-                            <img class="slider-after" src="${result.afterImage}" alt="After">
-                            <div class="slider-handle"></div>
-                        </div>
-                    </div>
-                </div>
-            </div>
-          `;
-    }).join("")
-  }
+    groupResults(results).map(renderResultGroup).join("")
+  }${renderAccessibilitySection(results)}
     </div>
 
     <script>
         document.addEventListener('DOMContentLoaded', function() {
+            const viewModes = ['side-by-side', 'slider', 'onion', 'blink', 'difference'];
+            const blinkTimers = {};
+            const blinkPaused = {};
+
+            // Blink mode flips between before and after while it is shown
+            function setBlinking(target, on) {
+                clearInterval(blinkTimers[target]);
+                delete blinkTimers[target];
+                if (!on) return;
+
+                const view = document.getElementById(target + '-blink');
+                blinkTimers[target] = setInterval(() => {
+                    if (!blinkPaused[target]) view.classList.toggle('show-after');
+                }, 500);
+            }
+
             // View mode switching
             document.querySelectorAll('.view-mode').forEach(button => {
                 button.addEventListener('click', function() {
@@ -1550,17 +3864,69 @@ async function generateReport(results, outputDir) {
                     this.parentElement.querySelectorAll('.view-mode').forEach(b => b.classList.remove('active'));
                     this.classList.add('active');
                     
-                    // Show/hide content
-                    const sideBySide = document.getElementById(target + '-side-by-side');
-                    const slider = document.getElementById(target + '-slider');
+                    // Show the selected view and hide the others
+                    viewModes.forEach(name => {
+                        const view = document.getElementById(target + '-' + name);
+                        if (name === 'side-by-side') {
+                            view.style.display = name === mode ? 'grid' : 'none';
+                        } else {
+                            view.classList.toggle('active', name === mode);
+                        }
+                    });
+                    setBlinking(target, mode === 'blink');
+                });
+            });
+
+            // Onion skin: fade the after image over the before image
+            document.querySelectorAll('.onion-view').forEach(view => {
+                const range = view.querySelector('.onion-opacity');
+                const afterImg = view.querySelector('.overlay-after');
+                range.addEventListener('input', function() {
+                    afterImg.style.opacity = this.value / 100;
+                });
+            });
+
+            // Clicking a blinking image pauses or resumes it
+            document.querySelectorAll('.blink-view').forEach(view => {
+                const target = view.id.slice(0, -'-blink'.length);
+                view.querySelector('.overlay-images').addEventListener('click', function() {
+                    blinkPaused[target] = !blinkPaused[target];
+                });
+            });
+            
+            // Jump to a changed region in the side-by-side view
+            document.querySelectorAll('.change-link').forEach(link => {
+                link.addEventListener('click', function(event) {
+                    event.preventDefault();
+                    const target = this.dataset.target;
+                    const sideBySideMode = document.querySelector('.view-mode[data-mode="side-by-side"][data-target="' + target + '"]');
+                    if (sideBySideMode) sideBySideMode.click();
+
+                    const box = document.getElementById(this.getAttribute('href').slice(1));
+                    if (!box) return;
+                    box.scrollIntoView({ behavior: 'smooth', block: 'center' });
+                    box.classList.add('flash');
+                    setTimeout(() => box.classList.remove('flash'), 1500);
+                });
+            });
+
+            // Breakpoint tab switching
+            document.querySelectorAll('.breakpoint-tab').forEach(tab => {
+                tab.addEventListener('click', function() {
+                    const group = this.closest('.comparison-group');
+                    
+                    group.querySelectorAll('.breakpoint-tab').forEach(t => t.classList.remove('active'));
+                    group.querySelectorAll('.breakpoint-panel').forEach(p => p.classList.remove('active'));
                     
-                    if (mode === 'side-by-side') {
-                        sideBySide.style.display = 'grid';
-                        slider.classList.remove('active');
-                    } else {
-                        sideBySide.style.display = 'none';
-                        slider.classList.add('active');
-                    }
+                    this.classList.add('active');
+                    const panel = document.getElementById(this.dataset.panel);
+                    panel.classList.add('active');
+
+                    // Only the shown panel keeps blinking
+                    group.querySelectorAll('.breakpoint-panel').forEach(p => {
+                        const target = p.id.slice(0, -'-panel'.length);
+                        setBlinking(target, p === panel && Boolean(p.querySelector('.view-mode.active[data-mode="blink"]')));
+                    });
                 });
             });
             
@@ -1600,4 +3966,106 @@ async function generateReport(results, outputDir) {
   return reportPath;
 }
 
-program.parse();
+// Programmatic API, e.g. for test suites:
+//   const { compare, capture, diffImages, renderReport } = require("quick-vrt");
+// Options take the camelCase names of the CLI flags. Errors are thrown
+// instead of exiting the process and the report is not opened. quiet: true
+// turns off the progress bar and log lines.
+const API_DEFAULTS = {
+  output: "./vrt-results",
+  concurrency: 1,
+  scrollDelay: 500,
+  videoMaskColor: "#808080",
+  mask: [],
+  hide: [],
+  open: false,
+};
+
+// Compare [{ before, after, name?, options? }] pairs. Resolves to
+// { results, failures, reportPath, resultsPath, junitPath }.
+async function compare(pairs, options = {}) {
+  if (!Array.isArray(pairs) || pairs.length === 0) {
+    throw new Error("compare() needs an array of { before, after } pairs");
+  }
+  pairs.forEach((pair, index) => {
+    if (!pair || !pair.before || !pair.after) {
+      throw new Error(`Pair ${index + 1} must have "before" and "after" URLs`);
+    }
+  });
+
+  return runVRT(pairs, { ...API_DEFAULTS, ...options });
+}
+
+// Capture a single URL to imagePath with the same page preparation as
+// compare(). options.side picks the before/after hooks and auth to apply.
+async function capture(url, imagePath, options = {}) {
+  const { side = "before", ...rest } = options;
+  if (side !== "before" && side !== "after") {
+    throw new Error(`Unknown side "${side}" (expected before or after)`);
+  }
+
+  const baseOptions = { ...API_DEFAULTS, ...rest };
+  const device = baseOptions.device
+    ? resolveDevice(baseOptions.device, await loadDevicesFile(baseOptions))
+    : null;
+  const captureOptions = {
+    ...baseOptions,
+    ...resolveCaptureSize(baseOptions, device),
+  };
+  const hooks = loadHooks(captureOptions.hook, url);
+  const auth = await loadAuth(captureOptions, side);
+
+  const resolvedPath = path.resolve(imagePath);
+  await fs.mkdir(path.dirname(resolvedPath), { recursive: true });
+
+  const browser = await puppeteer.launch();
+  let dom;
+  let text;
+  let accessibility;
+  try {
+    const page = await openCapturePage(browser, captureOptions, device);
+    ({ dom, text, accessibility } = await processPage(page, url, resolvedPath, {
+      pairId: createUrlId(url),
+      type: side,
+      options: captureOptions,
+      hook: hooks[side],
+      auth,
+      log: captureOptions.quiet ? () => {} : console.log,
+    }));
+  } finally {
+    await browser.close();
+  }
+
+  return {
+    url,
+    imagePath: resolvedPath,
+    width: captureOptions.width,
+    height: captureOptions.height,
+    device: device ? device.name : undefined,
+    dom,
+    text,
+    accessibility,
+  };
+}
+
+// Diff two PNG files. Resolves to { pixelDiff, diffPercentage, regions,
+// size, sizeWarning, bands, alignedPaths }, plus { ssim, ssimPath } when
+// diffMode is ssim or both.
+async function diffImages(beforePath, afterPath, diffPath, options = {}) {
+  await fs.mkdir(path.dirname(path.resolve(diffPath)), { recursive: true });
+  return generateDiff(beforePath, afterPath, diffPath, options);
+}
+
+// Write report.html for results (as returned by compare()) to outputDir.
+// Image paths in results are relative to outputDir.
+async function renderReport(results, outputDir) {
+  const resolvedDir = path.resolve(outputDir);
+  await fs.mkdir(resolvedDir, { recursive: true });
+  return generateReport(results, resolvedDir);
+}
+
+module.exports = { compare, capture, diffImages, renderReport };
+
+if (require.main === module) {
+  program.parse();
+}
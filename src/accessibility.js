@@ -0,0 +1,191 @@
+#!/usr/bin/env node
+
+const { diffSequences, diffByPrefixAndSuffix } = require("./sequence");
+
+// Text runs are left to the text diff; the tree diff is about semantics
+const SKIPPED_ROLES = ["StaticText", "InlineTextBox", "LineBreak"];
+
+// Roles that make up the landmark structure of a page
+const LANDMARK_ROLES = [
+  "banner",
+  "complementary",
+  "contentinfo",
+  "form",
+  "main",
+  "navigation",
+  "region",
+  "search",
+];
+
+// Only this many node changes are kept per pair; the summary counts all
+const MAX_CHANGES = 200;
+// Trees with more node changes than this are diffed by their common start
+// and end only
+const MAX_NODE_EDITS = 5000;
+
+// Puppeteer's accessibility snapshot of the page, or of the selector's
+// element: the tree assistive technology sees
+async function snapshotAccessibility(page, selector = null) {
+  const root = selector ? await page.$(selector) : null;
+  try {
+    const tree = await page.accessibility.snapshot({
+      interestingOnly: true,
+      root: root || undefined,
+    });
+    // Nothing on the page is exposed to assistive technology
+    return tree || { role: "RootWebArea", name: "", children: [] };
+  } finally {
+    if (root) await root.dispose();
+  }
+}
+
+// The tree as a list of { role, name, level, landmarks } in document
+// order, landmarks being the landmark roles the node sits in
+function flattenTree(tree) {
+  const nodes = [];
+  const visit = (node, landmarks) => {
+    if (SKIPPED_ROLES.includes(node.role)) return;
+
+    nodes.push({
+      role: node.role,
+      name: node.name || "",
+      level: node.level,
+      landmarks,
+    });
+    const inner = LANDMARK_ROLES.includes(node.role)
+      ? [...landmarks, node.role]
+      : landmarks;
+    (node.children || []).forEach((child) => visit(child, inner));
+  };
+  if (tree) visit(tree, []);
+  return nodes;
+}
+
+function keyOf(node) {
+  return [node.role, node.name, node.level || ""].join("|");
+}
+
+function headingsOf(nodes) {
+  return nodes
+    .filter((node) => node.role === "heading")
+    .map(({ level, name }) => ({ level, name }));
+}
+
+function landmarksOf(nodes) {
+  return nodes
+    .filter((node) => LANDMARK_ROLES.includes(node.role))
+    .map(({ role, name, landmarks }) => ({
+      role,
+      name,
+      depth: landmarks.length,
+    }));
+}
+
+function sameList(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+// Diff two snapshots from snapshotAccessibility. Returns
+// { summary, changes, omitted, headings, landmarks }:
+// - changes lists nodes as { type: "added" | "removed", role, name, level }
+//   and { type: "changed", role, before: { name, level }, after } for a node
+//   whose name or heading level changed, in document order
+// - headings and landmarks hold the before and after outlines and whether
+//   they changed
+function diffAccessibilityTrees(before, after) {
+  const beforeNodes = flattenTree(before);
+  const afterNodes = flattenTree(after);
+  const beforeKeys = beforeNodes.map(keyOf);
+  const afterKeys = afterNodes.map(keyOf);
+  const operations = diffSequences(beforeKeys, afterKeys, MAX_NODE_EDITS) ||
+    diffByPrefixAndSuffix(beforeKeys, afterKeys);
+
+  const summary = { added: 0, removed: 0, changed: 0 };
+  const changes = [];
+  let omitted = 0;
+  const record = (change) => {
+    summary[change.type]++;
+    if (changes.length < MAX_CHANGES) changes.push(change);
+    else omitted++;
+  };
+
+  let beforeIndex = 0;
+  let afterIndex = 0;
+  let i = 0;
+  while (i < operations.length) {
+    if (operations[i] === "=") {
+      beforeIndex++;
+      afterIndex++;
+      i++;
+      continue;
+    }
+
+    const removed = [];
+    const added = [];
+    while (i < operations.length && operations[i] !== "=") {
+      if (operations[i] === "-") removed.push(beforeNodes[beforeIndex++]);
+      else added.push(afterNodes[afterIndex++]);
+      i++;
+    }
+
+    // A node of the same role on both sides of a change is one node with
+    // another name or level, e.g. a button that lost its aria-label
+    for (const node of removed) {
+      const match = added.findIndex((candidate) =>
+        candidate.role === node.role
+      );
+      if (match === -1) {
+        record({
+          type: "removed",
+          role: node.role,
+          name: node.name,
+          level: node.level,
+        });
+        continue;
+      }
+      const [counterpart] = added.splice(match, 1);
+      record({
+        type: "changed",
+        role: node.role,
+        before: { name: node.name, level: node.level },
+        after: { name: counterpart.name, level: counterpart.level },
+      });
+    }
+    added.forEach((node) =>
+      record({
+        type: "added",
+        role: node.role,
+        name: node.name,
+        level: node.level,
+      })
+    );
+  }
+
+  const headings = {
+    before: headingsOf(beforeNodes),
+    after: headingsOf(afterNodes),
+  };
+  headings.changed = !sameList(headings.before, headings.after);
+  const landmarks = {
+    before: landmarksOf(beforeNodes),
+    after: landmarksOf(afterNodes),
+  };
+  landmarks.changed = !sameList(landmarks.before, landmarks.after);
+
+  return { summary, changes, omitted, headings, landmarks };
+}
+
+// Whether a diff from diffAccessibilityTrees found anything
+function hasAccessibilityChanges(diff) {
+  return Boolean(
+    diff &&
+      (diff.changes.length > 0 || diff.headings.changed ||
+        diff.landmarks.changed),
+  );
+}
+
+module.exports = {
+  snapshotAccessibility,
+  diffAccessibilityTrees,
+  hasAccessibilityChanges,
+};
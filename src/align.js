@@ -0,0 +1,213 @@
+#!/usr/bin/env node
+
+const { PNG } = require("pngjs");
+const { diffSequences, diffByPrefixAndSuffix } = require("./sequence");
+
+// How screenshots of different sizes are lined up before diffing:
+//   stretch  resize the after image to the before size (the old behavior)
+//   pad      keep both top-aligned and pad the shorter one
+//   crop     cut both down to the common size
+//   content  match identical rows to find inserted and removed bands
+const ALIGN_STRATEGIES = ["stretch", "pad", "crop", "content"];
+const DEFAULT_ALIGN = "stretch";
+
+// Content alignment gives up on pages with more changed rows than this and
+// falls back to matching the common top and bottom
+const MAX_ROW_EDITS = 4000;
+
+// Placeholder drawn where one side has no content
+const PLACEHOLDER_SQUARE = 8;
+const PLACEHOLDER_COLORS = [[204, 204, 204], [255, 255, 255]];
+
+function parseAlign(value) {
+  if (!ALIGN_STRATEGIES.includes(value)) {
+    throw new Error(
+      `Invalid alignment "${value}" (expected one of: ${
+        ALIGN_STRATEGIES.join(", ")
+      })`,
+    );
+  }
+  return value;
+}
+
+function fillPlaceholderRow(image, y) {
+  for (let x = 0; x < image.width; x++) {
+    const offset = (y * image.width + x) * 4;
+    const square = Math.floor(x / PLACEHOLDER_SQUARE) +
+      Math.floor(y / PLACEHOLDER_SQUARE);
+    const [r, g, b] = PLACEHOLDER_COLORS[square % 2];
+    image.data[offset] = r;
+    image.data[offset + 1] = g;
+    image.data[offset + 2] = b;
+    image.data[offset + 3] = 255;
+  }
+}
+
+function copyRow(source, sourceY, target, targetY) {
+  const rowBytes = Math.min(source.width, target.width) * 4;
+  const sourceStart = sourceY * source.width * 4;
+  source.data.copy(
+    target.data,
+    targetY * target.width * 4,
+    sourceStart,
+    sourceStart + rowBytes,
+  );
+}
+
+// Build a width x height image from rows of source; a row index of -1
+// becomes a placeholder row. Columns beyond source's width are padded too.
+function buildImage(source, rows, width) {
+  const image = new PNG({ width, height: rows.length });
+  rows.forEach((sourceY, y) => {
+    if (sourceY === -1 || source.width < width) fillPlaceholderRow(image, y);
+    if (sourceY !== -1) copyRow(source, sourceY, image, y);
+  });
+  return image;
+}
+
+function range(start, end) {
+  return Array.from({ length: Math.max(0, end - start) }, (_, i) => start + i);
+}
+
+// FNV-1a hash of each row of the first `width` columns
+function hashRows(image, width) {
+  const hashes = new Uint32Array(image.height);
+  for (let y = 0; y < image.height; y++) {
+    let hash = 0x811c9dc5;
+    const start = y * image.width * 4;
+    for (let i = start; i < start + width * 4; i++) {
+      hash ^= image.data[i];
+      hash = Math.imul(hash, 0x01000193);
+    }
+    hashes[y] = hash >>> 0;
+  }
+  return hashes;
+}
+
+// Turn an edit script into aligned row lists. Removed and inserted rows
+// next to each other are paired up as changed rows; only the surplus
+// becomes a band that exists on one side.
+function alignRows(operations) {
+  const beforeRows = [];
+  const afterRows = [];
+  const bands = [];
+  let beforeY = 0;
+  let afterY = 0;
+
+  let i = 0;
+  while (i < operations.length) {
+    if (operations[i] === "=") {
+      beforeRows.push(beforeY++);
+      afterRows.push(afterY++);
+      i++;
+      continue;
+    }
+
+    let removed = 0;
+    let inserted = 0;
+    while (i < operations.length && operations[i] !== "=") {
+      if (operations[i] === "-") removed++;
+      else inserted++;
+      i++;
+    }
+
+    const paired = Math.min(removed, inserted);
+    for (let row = 0; row < paired; row++) {
+      beforeRows.push(beforeY++);
+      afterRows.push(afterY++);
+    }
+
+    if (removed > paired) {
+      bands.push({
+        type: "removed",
+        y: beforeRows.length,
+        height: removed - paired,
+        beforeY,
+      });
+      for (let row = paired; row < removed; row++) {
+        beforeRows.push(beforeY++);
+        afterRows.push(-1);
+      }
+    } else if (inserted > paired) {
+      bands.push({
+        type: "added",
+        y: afterRows.length,
+        height: inserted - paired,
+        afterY,
+      });
+      for (let row = paired; row < inserted; row++) {
+        beforeRows.push(-1);
+        afterRows.push(afterY++);
+      }
+    }
+  }
+
+  return { beforeRows, afterRows, bands };
+}
+
+// Line up two images of different sizes with the pad, crop or content
+// strategy. Returns { before, after, bands } where both images have the same
+// size; bands lists the rows that exist on one side only as
+// { type: "added" | "removed", y, height } in aligned coordinates, plus
+// afterY or beforeY: where the band starts in the original screenshot.
+function alignImages(before, after, strategy) {
+  if (strategy === "crop") {
+    const width = Math.min(before.width, after.width);
+    const height = Math.min(before.height, after.height);
+    return {
+      before: buildImage(before, range(0, height), width),
+      after: buildImage(after, range(0, height), width),
+      bands: [],
+    };
+  }
+
+  if (strategy === "pad") {
+    const width = Math.max(before.width, after.width);
+    const height = Math.max(before.height, after.height);
+    const rowsOf = (image) =>
+      range(0, height).map((y) => (y < image.height ? y : -1));
+    const shorter = Math.min(before.height, after.height);
+    // Whatever hangs below the shorter page is added or removed
+    const bands = [];
+    if (after.height > before.height) {
+      bands.push({
+        type: "added",
+        y: shorter,
+        height: height - shorter,
+        afterY: shorter,
+      });
+    } else if (before.height > after.height) {
+      bands.push({
+        type: "removed",
+        y: shorter,
+        height: height - shorter,
+        beforeY: shorter,
+      });
+    }
+    return {
+      before: buildImage(before, rowsOf(before), width),
+      after: buildImage(after, rowsOf(after), width),
+      bands,
+    };
+  }
+
+  if (strategy === "content") {
+    // Rows are compared over the columns both images have
+    const width = Math.min(before.width, after.width);
+    const beforeHashes = hashRows(before, width);
+    const afterHashes = hashRows(after, width);
+    const operations =
+      diffSequences(beforeHashes, afterHashes, MAX_ROW_EDITS) ||
+      diffByPrefixAndSuffix(beforeHashes, afterHashes);
+    const { beforeRows, afterRows, bands } = alignRows(operations);
+    return {
+      before: buildImage(before, beforeRows, width),
+      after: buildImage(after, afterRows, width),
+      bands,
+    };
+  }
+
+  throw new Error(`Unsupported alignment "${strategy}"`);
+}
+
+module.exports = { DEFAULT_ALIGN, parseAlign, alignImages };
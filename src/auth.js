@@ -0,0 +1,247 @@
+#!/usr/bin/env node
+
+const fs = require("fs").promises;
+
+const SIDES = ["before", "after"];
+
+const SAME_SITE_VALUES = {
+  strict: "Strict",
+  lax: "Lax",
+  none: "None",
+  no_restriction: "None",
+};
+
+// Replace an "env:NAME" reference with the value of that environment
+// variable, so secrets never have to appear on the command line or in files
+function resolveSecret(value) {
+  const match = String(value).match(/^env:([A-Za-z_][A-Za-z0-9_]*)$/);
+  if (!match) return String(value);
+
+  const resolved = process.env[match[1]];
+  if (resolved === undefined) {
+    throw new Error(`Environment variable ${match[1]} is not set`);
+  }
+  return resolved;
+}
+
+function toEntries(value) {
+  if (value === undefined || value === null) return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+// "Name: value" strings, or { Name: value } objects from the config file
+function parseHeaders(value) {
+  const headers = {};
+
+  for (const entry of toEntries(value)) {
+    if (typeof entry === "object") {
+      for (const [name, headerValue] of Object.entries(entry)) {
+        headers[name.toLowerCase()] = resolveSecret(headerValue);
+      }
+      continue;
+    }
+
+    const separator = entry.indexOf(":");
+    const name = entry.slice(0, separator).trim();
+    if (separator === -1 || !name) {
+      throw new Error(`Invalid header "${entry}" (expected "Name: value")`);
+    }
+    headers[name.toLowerCase()] = resolveSecret(
+      entry.slice(separator + 1).trim(),
+    );
+  }
+
+  return headers;
+}
+
+// "name=value" strings, or Puppeteer cookie objects from the config file
+function parseCookies(value) {
+  return toEntries(value).map((entry) => {
+    if (typeof entry === "object") {
+      return { ...entry, value: resolveSecret(entry.value) };
+    }
+
+    const separator = entry.indexOf("=");
+    const name = entry.slice(0, separator).trim();
+    if (separator === -1 || !name) {
+      throw new Error(`Invalid cookie "${entry}" (expected "name=value")`);
+    }
+    return { name, value: resolveSecret(entry.slice(separator + 1).trim()) };
+  });
+}
+
+function parseNetscapeCookies(data) {
+  const cookies = [];
+
+  for (const rawLine of data.split(/\r?\n/)) {
+    let line = rawLine.trim();
+    let httpOnly = false;
+    if (line.startsWith("#HttpOnly_")) {
+      line = line.slice("#HttpOnly_".length);
+      httpOnly = true;
+    } else if (!line || line.startsWith("#")) {
+      continue;
+    }
+
+    const fields = line.split("\t");
+    if (fields.length < 7) continue;
+
+    const [domain, , cookiePath, secure, expires, name, ...value] = fields;
+    const cookie = {
+      name,
+      value: value.join("\t"),
+      domain,
+      path: cookiePath,
+      secure: secure.toUpperCase() === "TRUE",
+      httpOnly,
+    };
+    if (parseInt(expires) > 0) cookie.expires = parseInt(expires);
+    cookies.push(cookie);
+  }
+
+  return cookies;
+}
+
+// Read cookies exported from a browser: a Netscape cookies.txt, a JSON array
+// of cookies, or a JSON object with a "cookies" array (e.g. a storage state)
+async function readCookiesFile(filePath) {
+  const data = await fs.readFile(filePath, "utf-8");
+
+  if (!data.trim().startsWith("[") && !data.trim().startsWith("{")) {
+    return parseNetscapeCookies(data);
+  }
+
+  let parsed;
+  try {
+    parsed = JSON.parse(data);
+  } catch (error) {
+    throw new Error(`Failed to parse ${filePath}: ${error.message}`);
+  }
+
+  const cookies = Array.isArray(parsed) ? parsed : parsed.cookies;
+  if (!Array.isArray(cookies)) {
+    throw new Error(`${filePath} does not contain a cookie array`);
+  }
+  return cookies.map((cookie) => {
+    const { expirationDate, sameSite, ...rest } = cookie;
+    // Browser extensions export expirationDate and lower-case sameSite
+    // values ("lax", "no_restriction") instead of Puppeteer's names
+    const normalized = { ...rest };
+    if (expirationDate !== undefined && rest.expires === undefined) {
+      normalized.expires = Math.floor(expirationDate);
+    }
+    const sameSiteValue = SAME_SITE_VALUES[String(sameSite).toLowerCase()];
+    if (sameSiteValue) normalized.sameSite = sameSiteValue;
+    return normalized;
+  });
+}
+
+// "user:password", where the password or the whole value may be an
+// env reference ("admin:env:STAGING_PASSWORD" or "env:STAGING_BASIC_AUTH")
+function parseBasicAuth(value) {
+  const resolved = resolveSecret(value);
+  const separator = resolved.indexOf(":");
+  if (separator === -1) {
+    throw new Error('Invalid basic auth (expected "user:password")');
+  }
+  return {
+    username: resolved.slice(0, separator),
+    password: resolveSecret(resolved.slice(separator + 1)),
+  };
+}
+
+function sideKey(side, key) {
+  return `${side}${key[0].toUpperCase()}${key.slice(1)}`;
+}
+
+// Collect the headers, cookies and basic auth credentials for one side.
+// Settings for both sides come first; before*/after* options add to them
+// and win when the same header or credentials are given twice.
+async function loadAuth(options, side) {
+  if (!SIDES.includes(side)) {
+    throw new Error(`Unknown side "${side}"`);
+  }
+  const pick = (key) => [options[key], options[sideKey(side, key)]];
+
+  const headers = Object.assign({}, ...pick("header").map(parseHeaders));
+
+  const cookies = [];
+  for (const file of pick("cookiesFile").filter(Boolean)) {
+    cookies.push(...await readCookiesFile(file));
+  }
+  for (const value of pick("cookie")) {
+    cookies.push(...parseCookies(value));
+  }
+
+  const basicAuth = pick("basicAuth").filter(Boolean).pop();
+
+  return {
+    headers,
+    cookies,
+    credentials: basicAuth ? parseBasicAuth(basicAuth) : null,
+  };
+}
+
+// Headers sent to the captured origin: the extra headers plus basic auth
+// credentials, unless an Authorization header is already given
+function originHeaders(auth) {
+  const headers = { ...auth.headers };
+  if (auth.credentials && headers.authorization === undefined) {
+    const { username, password } = auth.credentials;
+    headers.authorization = `Basic ${
+      Buffer.from(`${username}:${password}`).toString("base64")
+    }`;
+  }
+  return headers;
+}
+
+// Request handlers installed by applyAuth, replaced when the page is reused
+// for the other side
+const requestHandlers = new WeakMap();
+
+// Apply auth to a page before navigating to url. The page's browser
+// context starts from no cookies, so nothing carries over from the other
+// side. Cookies without a domain are scoped to the host of url. Headers and
+// basic auth are only sent to the origin of url, never to the CDNs,
+// analytics or font hosts the page loads from.
+async function applyAuth(page, auth, url) {
+  const context = page.browserContext();
+  const existingCookies = await context.cookies();
+  if (existingCookies.length > 0) {
+    await context.deleteCookie(...existingCookies);
+  }
+
+  const previousHandler = requestHandlers.get(page);
+  if (previousHandler) {
+    page.off("request", previousHandler);
+    requestHandlers.delete(page);
+  }
+
+  const headers = auth ? originHeaders(auth) : {};
+  const scoped = Object.keys(headers).length > 0;
+  await page.setRequestInterception(scoped);
+  if (scoped) {
+    const { origin } = new URL(url);
+    const handler = (request) => {
+      if (request.isInterceptResolutionHandled()) return;
+      if (new URL(request.url()).origin !== origin) {
+        request.continue();
+        return;
+      }
+      request.continue({ headers: { ...request.headers(), ...headers } });
+    };
+    page.on("request", handler);
+    requestHandlers.set(page, handler);
+  }
+
+  if (!auth || auth.cookies.length === 0) return;
+
+  const { hostname } = new URL(url);
+  await context.setCookie(
+    ...auth.cookies.map((cookie) =>
+      cookie.domain ? cookie : { path: "/", ...cookie, domain: hostname }
+    ),
+  );
+}
+
+module.exports = { loadAuth, applyAuth };
@@ -0,0 +1,132 @@
+#!/usr/bin/env node
+
+const fs = require("fs").promises;
+const path = require("path");
+
+const MANIFEST_FILE = "baselines.json";
+const PENDING_DIR = "pending";
+
+// Derive a stable, file-name safe id for a URL, e.g.
+// https://example.com/pricing?plan=pro -> https-example-com-pricing-plan-pro
+// The scheme is part of the id so http and https pages keep their own
+// baselines.
+function createUrlId(url) {
+  let key = url;
+  try {
+    const parsed = new URL(url);
+    key = `${parsed.protocol}${parsed.host}${parsed.pathname}${parsed.search}`;
+  } catch (error) {
+    // Not a URL; slugify it as it is
+  }
+
+  return key
+    .toLowerCase()
+    .replace(/[^a-z0-9_-]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+}
+
+// Stores reference screenshots ("baselines") in a directory:
+//   <dir>/baselines.json  id -> { url, width, height, device, selector,
+//                                 colorScheme, media, updatedAt }
+//   <dir>/<id>.png        approved baseline
+//   <dir>/pending/<id>.png  changed capture waiting for approval
+class BaselineStore {
+  constructor(baselineDir) {
+    this.baselineDir = path.resolve(baselineDir);
+    this.pendingDir = path.join(this.baselineDir, PENDING_DIR);
+    this.manifestPath = path.join(this.baselineDir, MANIFEST_FILE);
+  }
+
+  baselinePath(id) {
+    return path.join(this.baselineDir, `${id}.png`);
+  }
+
+  pendingPath(id) {
+    return path.join(this.pendingDir, `${id}.png`);
+  }
+
+  async loadManifest() {
+    try {
+      const data = await fs.readFile(this.manifestPath, "utf-8");
+      return JSON.parse(data);
+    } catch (error) {
+      if (error.code === "ENOENT") {
+        return {};
+      }
+      throw error;
+    }
+  }
+
+  async saveManifest(manifest) {
+    await fs.mkdir(this.baselineDir, { recursive: true });
+    await fs.writeFile(
+      this.manifestPath,
+      JSON.stringify(manifest, null, 2),
+      "utf-8",
+    );
+  }
+
+  // Record freshly written baselines in the manifest. Pending captures for
+  // the same ids are dropped since they are now out of date.
+  async recordBaselines(entries) {
+    const manifest = await this.loadManifest();
+    const updatedAt = new Date().toISOString();
+
+    for (const entry of entries) {
+      const { id, url, width, height, device, selector, colorScheme, media } =
+        entry;
+      manifest[id] = {
+        url,
+        width,
+        height,
+        device,
+        selector,
+        colorScheme,
+        media,
+        updatedAt,
+      };
+      await fs.rm(this.pendingPath(id), { force: true });
+    }
+
+    await this.saveManifest(manifest);
+    return manifest;
+  }
+
+  async savePending(id, imagePath) {
+    await fs.mkdir(this.pendingDir, { recursive: true });
+    await fs.copyFile(imagePath, this.pendingPath(id));
+  }
+
+  async listPending() {
+    try {
+      const entries = await fs.readdir(this.pendingDir);
+      return entries
+        .filter((entry) => entry.endsWith(".png"))
+        .map((entry) => entry.slice(0, -".png".length))
+        .sort();
+    } catch (error) {
+      if (error.code === "ENOENT") {
+        return [];
+      }
+      throw error;
+    }
+  }
+
+  // Promote pending captures to baselines
+  async approve(ids) {
+    const manifest = await this.loadManifest();
+    const updatedAt = new Date().toISOString();
+
+    for (const id of ids) {
+      await fs.rename(this.pendingPath(id), this.baselinePath(id));
+      if (manifest[id]) {
+        manifest[id].updatedAt = updatedAt;
+      }
+    }
+
+    await this.saveManifest(manifest);
+    return ids;
+  }
+}
+
+module.exports = { BaselineStore, createUrlId };
@@ -0,0 +1,272 @@
+#!/usr/bin/env node
+
+const fs = require("fs").promises;
+const path = require("path");
+const { parseViewports } = require("./viewports");
+const { parseWaitUntil, parseDelay } = require("./wait");
+const { parseColorScheme, parseMediaType } = require("./media");
+const { validateDiffOptions } = require("./diff");
+
+// Searched in this order when no explicit --config path is given
+const CONFIG_FILENAMES = ["quick-vrt.config.js", "quick-vrt.config.json"];
+
+// Options that a single pair is allowed to override
+const PAIR_OPTION_KEYS = [
+  "width",
+  "height",
+  "scrollDelay",
+  "waitUntil",
+  "waitForSelector",
+  "waitForFunction",
+  "delay",
+  "userAgent",
+  "device",
+  "selector",
+  "colorScheme",
+  "reducedMotion",
+  "media",
+  "hook",
+  "header",
+  "beforeHeader",
+  "afterHeader",
+  "cookie",
+  "beforeCookie",
+  "afterCookie",
+  "cookiesFile",
+  "beforeCookiesFile",
+  "afterCookiesFile",
+  "basicAuth",
+  "beforeBasicAuth",
+  "afterBasicAuth",
+  "lazyLoading",
+  "disableAnimations",
+  "maskVideos",
+  "videoMaskColor",
+  "mask",
+  "hide",
+  "maskColor",
+  "threshold",
+  "includeAa",
+  "alpha",
+  "diffColor",
+  "diffColorAlt",
+  "diffMode",
+  "align",
+  "domDiff",
+  "textDiff",
+  "accessibilityDiff",
+  "pageIssues",
+  "viewports",
+  "failOnDiff",
+  "failOnSsim",
+  "failOnError",
+];
+
+// Options that can be set for the whole run at the top level of the config
+const GLOBAL_OPTION_KEYS = [
+  ...PAIR_OPTION_KEYS,
+  "output",
+  "concurrency",
+  "open",
+  "junit",
+  "devicesFile",
+  "beforeOrigin",
+  "afterOrigin",
+  "paths",
+  "pathsFile",
+  "sitemap",
+  "crawl",
+  "crawlDepth",
+  "include",
+  "exclude",
+  "maxPages",
+];
+
+// Options naming files to read. Relative paths in a config file are
+// relative to the config file, not to the directory quick-vrt runs in.
+const FILE_OPTION_KEYS = [
+  "pathsFile",
+  "sitemap",
+  "devicesFile",
+  "cookiesFile",
+  "beforeCookiesFile",
+  "afterCookiesFile",
+];
+
+async function findConfigFile(cwd = process.cwd()) {
+  for (const filename of CONFIG_FILENAMES) {
+    const candidate = path.join(cwd, filename);
+    const exists = await fs.access(candidate).then(() => true).catch(() =>
+      false
+    );
+    if (exists) return candidate;
+  }
+  return null;
+}
+
+async function readConfigFile(configPath) {
+  if (path.extname(configPath) === ".json") {
+    const data = await fs.readFile(configPath, "utf-8");
+    try {
+      return JSON.parse(data);
+    } catch (error) {
+      throw new Error(`Failed to parse ${configPath}: ${error.message}`);
+    }
+  }
+
+  // Drop any cached copy so edits are picked up by long-running callers
+  delete require.cache[require.resolve(configPath)];
+  const exported = require(configPath);
+  return typeof exported === "function" ? await exported() : exported;
+}
+
+function pickOptions(source, allowedKeys, where) {
+  const options = {};
+  for (const [key, value] of Object.entries(source)) {
+    if (!allowedKeys.includes(key)) {
+      throw new Error(`Unknown option "${key}" in ${where}`);
+    }
+    options[key] = value;
+  }
+
+  try {
+    if (options.viewports !== undefined) parseViewports(options.viewports);
+    if (options.waitUntil !== undefined) parseWaitUntil(options.waitUntil);
+    if (options.delay !== undefined) parseDelay(options.delay);
+    if (options.colorScheme !== undefined) {
+      parseColorScheme(options.colorScheme);
+    }
+    if (options.media !== undefined) parseMediaType(options.media);
+    validateDiffOptions(options);
+  } catch (error) {
+    throw new Error(`${error.message} in ${where}`);
+  }
+
+  return options;
+}
+
+// A hook is a module path, a function or a { before, after } object of those
+function resolveHookPaths(hook, baseDir) {
+  if (typeof hook === "string") return path.resolve(baseDir, hook);
+  if (hook && typeof hook === "object" && !Array.isArray(hook)) {
+    return Object.fromEntries(
+      Object.entries(hook).map(([side, value]) => [
+        side,
+        resolveHookPaths(value, baseDir),
+      ]),
+    );
+  }
+  return hook;
+}
+
+function resolveFilePaths(options, baseDir) {
+  const resolved = { ...options };
+  for (const key of FILE_OPTION_KEYS) {
+    // A sitemap can also be a URL, which is left as it is
+    const value = resolved[key];
+    if (typeof value === "string" && !/^https?:\/\//i.test(value)) {
+      resolved[key] = path.resolve(baseDir, value);
+    }
+  }
+  if (resolved.hook !== undefined) {
+    resolved.hook = resolveHookPaths(resolved.hook, baseDir);
+  }
+  return resolved;
+}
+
+function normalizeConfig(raw, configPath) {
+  const where = path.basename(configPath);
+  const baseDir = path.dirname(configPath);
+
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) {
+    throw new Error(`${where} must export an object`);
+  }
+
+  const { pairs = [], ...globalOptions } = raw;
+
+  if (!Array.isArray(pairs)) {
+    throw new Error(`"pairs" in ${where} must be an array`);
+  }
+
+  const names = new Set();
+  const normalizedPairs = pairs.map((pair, index) => {
+    const label = `pairs[${index}] of ${where}`;
+
+    if (!pair || !pair.before || !pair.after) {
+      throw new Error(`${label} must have "before" and "after" URLs`);
+    }
+
+    const { name, before, after, ...overrides } = pair;
+    if (name !== undefined) {
+      if (typeof name !== "string" || name.trim() === "") {
+        throw new Error(`${label} has an empty "name"`);
+      }
+      if (names.has(name)) {
+        throw new Error(`Duplicate pair name "${name}" in ${where}`);
+      }
+      names.add(name);
+    }
+
+    return {
+      name,
+      before,
+      after,
+      options: resolveFilePaths(
+        pickOptions(overrides, PAIR_OPTION_KEYS, label),
+        baseDir,
+      ),
+    };
+  });
+
+  return {
+    path: configPath,
+    options: resolveFilePaths(
+      pickOptions(globalOptions, GLOBAL_OPTION_KEYS, where),
+      baseDir,
+    ),
+    pairs: normalizedPairs,
+  };
+}
+
+// Load quick-vrt.config.{js,json}. Returns null when no config file exists
+// and no explicit path was requested.
+async function loadConfig(configPath) {
+  let resolvedPath;
+
+  if (configPath) {
+    resolvedPath = path.resolve(configPath);
+    const exists = await fs.access(resolvedPath).then(() => true).catch(() =>
+      false
+    );
+    if (!exists) {
+      throw new Error(`Config file not found: ${resolvedPath}`);
+    }
+  } else {
+    resolvedPath = await findConfigFile();
+    if (!resolvedPath) return null;
+  }
+
+  const raw = await readConfigFile(resolvedPath);
+  return normalizeConfig(raw, resolvedPath);
+}
+
+// Apply config values for every option the user did not pass explicitly
+// on the command line.
+function applyConfigOptions(options, config, command) {
+  if (!config) return options;
+
+  const merged = { ...options };
+  for (const [key, value] of Object.entries(config.options)) {
+    if (command.getOptionValueSource(key) !== "cli") {
+      merged[key] = value;
+    }
+  }
+  return merged;
+}
+
+module.exports = {
+  CONFIG_FILENAMES,
+  PAIR_OPTION_KEYS,
+  loadConfig,
+  applyConfigOptions,
+};
@@ -0,0 +1,84 @@
+#!/usr/bin/env node
+
+const fs = require("fs").promises;
+const { KnownDevices } = require("puppeteer");
+
+function validateDevice(device, where) {
+  const viewport = device && device.viewport;
+  if (
+    !viewport || !(parseInt(viewport.width) > 0) ||
+    !(parseInt(viewport.height) > 0)
+  ) {
+    throw new Error(`${where} needs a viewport with width and height`);
+  }
+
+  return {
+    name: device.name,
+    userAgent: device.userAgent || "",
+    viewport: {
+      width: parseInt(viewport.width),
+      height: parseInt(viewport.height),
+      deviceScaleFactor: viewport.deviceScaleFactor || 1,
+      isMobile: Boolean(viewport.isMobile),
+      hasTouch: Boolean(viewport.hasTouch),
+      isLandscape: Boolean(viewport.isLandscape),
+    },
+  };
+}
+
+// Load custom device definitions. The file holds either an array of
+// Puppeteer-style descriptors ({ name, userAgent, viewport }) or an object
+// keyed by device name.
+async function loadCustomDevices(filePath) {
+  const data = await fs.readFile(filePath, "utf-8");
+  let parsed;
+  try {
+    parsed = JSON.parse(data);
+  } catch (error) {
+    throw new Error(`Failed to parse ${filePath}: ${error.message}`);
+  }
+
+  const entries = Array.isArray(parsed)
+    ? parsed
+    : Object.entries(parsed).map(([name, device]) => ({ name, ...device }));
+
+  return entries.map((device, index) => {
+    if (!device || !device.name) {
+      throw new Error(`Device ${index + 1} in ${filePath} has no name`);
+    }
+    return validateDevice(device, `Device "${device.name}" in ${filePath}`);
+  });
+}
+
+// Find a device by name (case-insensitive). Custom devices shadow
+// Puppeteer's built-in ones.
+function resolveDevice(name, customDevices = []) {
+  const wanted = name.trim().toLowerCase();
+
+  const custom = customDevices.find((device) =>
+    device.name.toLowerCase() === wanted
+  );
+  if (custom) return custom;
+
+  const knownName = Object.keys(KnownDevices).find((deviceName) =>
+    deviceName.toLowerCase() === wanted
+  );
+  if (knownName) {
+    return validateDevice(KnownDevices[knownName], `Device "${knownName}"`);
+  }
+
+  const suggestions = [
+    ...customDevices.map((device) => device.name),
+    ...Object.keys(KnownDevices),
+  ].filter((deviceName) =>
+    deviceName.toLowerCase().includes(wanted.split(" ")[0])
+  ).slice(0, 5);
+
+  throw new Error(
+    `Unknown device "${name}"${
+      suggestions.length > 0 ? ` (did you mean: ${suggestions.join(", ")}?)` : ""
+    }`,
+  );
+}
+
+module.exports = { loadCustomDevices, resolveDevice };
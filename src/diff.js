@@ -0,0 +1,149 @@
+#!/usr/bin/env node
+
+const { parseAlign } = require("./align");
+
+// pixelmatch's own defaults
+const DEFAULT_THRESHOLD = 0.1;
+const DEFAULT_ALPHA = 0.1;
+const DEFAULT_DIFF_COLOR = [255, 0, 0];
+const AA_COLOR = [255, 255, 0];
+
+// pixel: pixelmatch only, ssim: SSIM heatmap as the diff image,
+// both: pixelmatch diff image plus an SSIM heatmap
+const DIFF_MODES = ["pixel", "ssim", "both"];
+
+function parseRatio(value, what) {
+  const number = Number(value);
+  if (value === "" || !Number.isFinite(number) || number < 0 || number > 1) {
+    throw new Error(`Invalid ${what} "${value}" (expected a number from 0 to 1)`);
+  }
+  return number;
+}
+
+function parseThreshold(value) {
+  return parseRatio(value, "threshold");
+}
+
+function parseAlpha(value) {
+  return parseRatio(value, "alpha");
+}
+
+function parseDiffMode(value) {
+  if (!DIFF_MODES.includes(value)) {
+    throw new Error(
+      `Invalid diff mode "${value}" (expected one of: ${DIFF_MODES.join(", ")})`,
+    );
+  }
+  return value;
+}
+
+// Minimum SSIM score for --fail-on-ssim
+function parseSsimBudget(value) {
+  return parseRatio(value, "SSIM score");
+}
+
+// Maximum difference percentage for --fail-on-diff
+function parseDiffBudget(value) {
+  const number = Number(value);
+  if (value === "" || !Number.isFinite(number) || number < 0 || number > 100) {
+    throw new Error(
+      `Invalid difference budget "${value}" (expected a percentage from 0 to 100)`,
+    );
+  }
+  return number;
+}
+
+// "#f00", "#ff0000" or "255,0,0" -> [255, 0, 0]
+function parseColor(value) {
+  if (Array.isArray(value) && value.length === 3) {
+    return parseColor(value.join(","));
+  }
+
+  const text = String(value).trim();
+  let channels = null;
+
+  const hex = text.match(/^#?([0-9a-f]{3}|[0-9a-f]{6})$/i);
+  if (hex) {
+    const digits = hex[1].length === 3
+      ? hex[1].split("").map((digit) => digit + digit).join("")
+      : hex[1];
+    channels = [0, 2, 4].map((start) =>
+      parseInt(digits.slice(start, start + 2), 16)
+    );
+  } else if (/^\d{1,3}\s*,\s*\d{1,3}\s*,\s*\d{1,3}$/.test(text)) {
+    channels = text.split(",").map((channel) => parseInt(channel));
+  }
+
+  if (!channels || channels.some((channel) => channel > 255)) {
+    throw new Error(
+      `Invalid color "${value}" (expected #rrggbb, #rgb or r,g,b)`,
+    );
+  }
+  return channels;
+}
+
+// Validate the diff options of a config file or API call
+function validateDiffOptions(options) {
+  if (options.threshold !== undefined) parseThreshold(options.threshold);
+  if (options.alpha !== undefined) parseAlpha(options.alpha);
+  if (options.diffColor !== undefined) parseColor(options.diffColor);
+  if (options.diffColorAlt !== undefined) parseColor(options.diffColorAlt);
+  if (options.diffMode !== undefined) parseDiffMode(options.diffMode);
+  if (options.align !== undefined) parseAlign(options.align);
+  if (options.failOnDiff !== undefined) parseDiffBudget(options.failOnDiff);
+  if (options.failOnSsim !== undefined) parseSsimBudget(options.failOnSsim);
+}
+
+// Map quick-vrt's diff options onto pixelmatch's
+function toPixelmatchOptions(options = {}) {
+  const pixelmatchOptions = {
+    threshold: options.threshold !== undefined
+      ? parseThreshold(options.threshold)
+      : DEFAULT_THRESHOLD,
+    includeAA: Boolean(options.includeAa),
+    alpha: options.alpha !== undefined ? parseAlpha(options.alpha) : DEFAULT_ALPHA,
+  };
+  if (options.diffColor !== undefined) {
+    pixelmatchOptions.diffColor = parseColor(options.diffColor);
+  }
+  if (options.diffColorAlt !== undefined) {
+    pixelmatchOptions.diffColorAlt = parseColor(options.diffColorAlt);
+  }
+  return pixelmatchOptions;
+}
+
+// Tell the changed pixels in a diff image that pixelmatch drew with options
+// (from toPixelmatchOptions) apart from the rest: changed pixels are in the
+// diff colors, the others in gray or the anti-aliasing color. Returns
+// isChanged(x, y), or null when a diff color is gray or the anti-aliasing
+// color and the image alone cannot tell.
+function findChangedPixels(data, width, options) {
+  const diffColor = options.diffColor || DEFAULT_DIFF_COLOR;
+  const colors = [diffColor, options.diffColorAlt || diffColor];
+  const ambiguous = colors.some(([r, g, b]) =>
+    (r === g && g === b) ||
+    (!options.includeAA &&
+      r === AA_COLOR[0] && g === AA_COLOR[1] && b === AA_COLOR[2])
+  );
+  if (ambiguous) return null;
+
+  return (x, y) => {
+    const offset = (y * width + x) * 4;
+    return colors.some(([r, g, b]) =>
+      data[offset] === r && data[offset + 1] === g && data[offset + 2] === b
+    );
+  };
+}
+
+module.exports = {
+  DEFAULT_THRESHOLD,
+  parseThreshold,
+  parseAlpha,
+  parseColor,
+  parseDiffMode,
+  parseSsimBudget,
+  parseDiffBudget,
+  validateDiffOptions,
+  toPixelmatchOptions,
+  findChangedPixels,
+};
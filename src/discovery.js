@@ -0,0 +1,211 @@
+#!/usr/bin/env node
+
+const fs = require("fs").promises;
+const zlib = require("zlib");
+const { applyAuth } = require("./auth");
+
+// Links to these are never worth crawling or capturing
+const NON_PAGE_EXTENSIONS = /\.(pdf|zip|gz|tar|dmg|exe|png|jpe?g|gif|svg|webp|avif|ico|mp4|webm|mov|mp3|wav|css|js|json|xml|txt)$/i;
+
+// Nested sitemap indexes deeper than this are ignored
+const MAX_SITEMAP_NESTING = 3;
+
+// Convert a glob ("/blog/**", "/products/*") into a RegExp matched against
+// the full path. "**" crosses "/" boundaries, "*" and "?" do not.
+function globToRegExp(glob) {
+  let pattern = "";
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+    if (char === "*" && glob[i + 1] === "*") {
+      pattern += ".*";
+      i++;
+    } else if (char === "*") {
+      pattern += "[^/]*";
+    } else if (char === "?") {
+      pattern += "[^/]";
+    } else {
+      pattern += char.replace(/[.+^${}()|[\]\\]/g, "\\$&");
+    }
+  }
+  return new RegExp(`^${pattern}$`);
+}
+
+function createPathFilter({ include = [], exclude = [] } = {}) {
+  const includePatterns = include.map(globToRegExp);
+  const excludePatterns = exclude.map(globToRegExp);
+
+  return {
+    isExcluded: (pagePath) =>
+      excludePatterns.some((pattern) => pattern.test(pagePath)),
+    isIncluded: (pagePath) =>
+      includePatterns.length === 0 ||
+      includePatterns.some((pattern) => pattern.test(pagePath)),
+  };
+}
+
+function toPagePath(url) {
+  return `${url.pathname}${url.search}`;
+}
+
+function decodeXmlEntities(text) {
+  return text
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, "&");
+}
+
+async function readSitemapSource(source) {
+  let buffer;
+  if (/^https?:\/\//i.test(source)) {
+    const response = await fetch(source);
+    if (!response.ok) {
+      throw new Error(`Failed to fetch ${source}: HTTP ${response.status}`);
+    }
+    buffer = Buffer.from(await response.arrayBuffer());
+  } else {
+    buffer = await fs.readFile(source);
+  }
+
+  // Gzipped sitemaps (sitemap.xml.gz) are common on large sites
+  if (buffer[0] === 0x1f && buffer[1] === 0x8b) {
+    buffer = zlib.gunzipSync(buffer);
+  }
+  return buffer.toString("utf-8");
+}
+
+async function collectSitemapUrls(source, nesting = 0) {
+  const xml = await readSitemapSource(source);
+  const locs = Array.from(
+    xml.matchAll(/<loc>\s*([\s\S]*?)\s*<\/loc>/gi),
+    (match) => decodeXmlEntities(match[1]),
+  );
+
+  // A sitemap index lists further sitemaps instead of pages
+  if (/<sitemapindex[\s>]/i.test(xml)) {
+    if (nesting >= MAX_SITEMAP_NESTING) return [];
+
+    const urls = [];
+    for (const loc of locs) {
+      urls.push(...await collectSitemapUrls(loc, nesting + 1));
+    }
+    return urls;
+  }
+
+  return locs;
+}
+
+// Discover page paths from a sitemap.xml file or URL
+async function discoverFromSitemap(source, options = {}) {
+  const { maxPages = Infinity } = options;
+  const filter = createPathFilter(options);
+  const paths = [];
+
+  for (const loc of await collectSitemapUrls(source)) {
+    let url;
+    try {
+      url = new URL(loc);
+    } catch (error) {
+      continue;
+    }
+
+    const pagePath = toPagePath(url);
+    if (NON_PAGE_EXTENSIONS.test(url.pathname)) continue;
+    if (filter.isExcluded(pagePath) || !filter.isIncluded(pagePath)) continue;
+    if (paths.includes(pagePath)) continue;
+
+    paths.push(pagePath);
+    if (paths.length >= maxPages) break;
+  }
+
+  return paths;
+}
+
+// Breadth-first crawl of same-origin links starting from startUrl.
+// Excluded paths are neither captured nor followed; include globs only
+// decide which of the visited pages are returned. auth (from loadAuth) lets
+// the crawl reach pages behind a login.
+async function crawlSite(browser, startUrl, options = {}) {
+  const {
+    depth = 2,
+    maxPages = 50,
+    userAgent,
+    auth = null,
+    log = () => {},
+  } = options;
+  const filter = createPathFilter(options);
+  const origin = new URL(startUrl).origin;
+
+  const page = await browser.newPage();
+  if (userAgent) await page.setUserAgent(userAgent);
+  if (auth) await applyAuth(page, auth, startUrl);
+
+  const queue = [{ url: new URL(startUrl), depth: 0 }];
+  const seen = new Set([toPagePath(queue[0].url)]);
+  const paths = [];
+
+  try {
+    while (queue.length > 0 && paths.length < maxPages) {
+      const { url, depth: currentDepth } = queue.shift();
+      const pagePath = toPagePath(url);
+
+      let links = [];
+      try {
+        log(`Crawling ${url.href}`);
+        const response = await page.goto(url.href, {
+          waitUntil: "networkidle2",
+          timeout: 30000,
+        });
+        const contentType = response
+          ? response.headers()["content-type"] || ""
+          : "";
+        if (response && (!response.ok() || !contentType.includes("html"))) {
+          continue;
+        }
+
+        if (currentDepth < depth) {
+          links = await page.$$eval(
+            "a[href]",
+            (anchors) => anchors.map((anchor) => anchor.href),
+          );
+        }
+      } catch (error) {
+        log(`Skipping ${url.href}: ${error.message}`);
+        continue;
+      }
+
+      if (!filter.isExcluded(pagePath) && filter.isIncluded(pagePath)) {
+        paths.push(pagePath);
+      }
+
+      for (const link of links) {
+        let linkUrl;
+        try {
+          linkUrl = new URL(link);
+        } catch (error) {
+          continue;
+        }
+        linkUrl.hash = "";
+
+        const linkPath = toPagePath(linkUrl);
+        if (linkUrl.origin !== origin) continue;
+        if (NON_PAGE_EXTENSIONS.test(linkUrl.pathname)) continue;
+        if (seen.has(linkPath) || filter.isExcluded(linkPath)) continue;
+
+        seen.add(linkPath);
+        queue.push({ url: linkUrl, depth: currentDepth + 1 });
+      }
+    }
+  } finally {
+    await page.close();
+  }
+
+  return paths;
+}
+
+module.exports = {
+  globToRegExp,
+  discoverFromSitemap,
+  crawlSite,
+};
@@ -0,0 +1,386 @@
+#!/usr/bin/env node
+
+// Attributes kept per element: enough to recognize it and to explain a
+// change without storing the whole markup
+const KEY_ATTRIBUTES = [
+  "id",
+  "class",
+  "href",
+  "src",
+  "alt",
+  "title",
+  "role",
+  "aria-label",
+  "name",
+  "type",
+  "for",
+];
+
+// Computed styles compared per element
+const STYLE_PROPERTIES = [
+  "display",
+  "position",
+  "visibility",
+  "opacity",
+  "z-index",
+  "color",
+  "background-color",
+  "background-image",
+  "font-family",
+  "font-size",
+  "font-weight",
+  "line-height",
+  "text-align",
+  "text-transform",
+  "margin",
+  "padding",
+  "border-width",
+  "border-style",
+  "border-color",
+  "border-radius",
+  "box-shadow",
+  "flex-direction",
+  "justify-content",
+  "align-items",
+  "gap",
+];
+
+// Elements that are never rendered
+const SKIPPED_TAGS = [
+  "script",
+  "style",
+  "noscript",
+  "template",
+  "link",
+  "meta",
+];
+
+// Large pages are cut off after this many elements
+const MAX_ELEMENTS = 5000;
+// Only this many changes are kept per pair; the summary counts all of them
+const MAX_CHANGES = 200;
+// Sibling lists longer than this are matched by their common start and end
+// only, since the full matching is quadratic
+const MAX_MATCH_CELLS = 1000000;
+// Position and size changes up to this many pixels are rounding noise
+const BOX_TOLERANCE = 1;
+
+// Serialize the element tree below root (the selector's element or <body>)
+// as { root, truncated }. Runs in the page.
+function serializeDom(selector, attributes, properties, skippedTags, max) {
+  const root = selector ? document.querySelector(selector) : document.body;
+  if (!root) return null;
+
+  let count = 0;
+  const visit = (element) => {
+    const tag = element.tagName.toLowerCase();
+    if (count >= max || skippedTags.includes(tag)) return null;
+    // Overlays and styles added by quick-vrt itself
+    const names = element.getAttributeNames();
+    if (names.some((name) => name.startsWith("data-vrt-"))) return null;
+    count++;
+
+    const node = { tag, attributes: {}, box: null, styles: {}, children: [] };
+    attributes.forEach((name) => {
+      const value = element.getAttribute(name);
+      if (value !== null) node.attributes[name] = value;
+    });
+
+    const rect = element.getBoundingClientRect();
+    node.box = {
+      x: Math.round(rect.left + window.scrollX),
+      y: Math.round(rect.top + window.scrollY),
+      width: Math.round(rect.width),
+      height: Math.round(rect.height),
+    };
+
+    const style = window.getComputedStyle(element);
+    properties.forEach((property) => {
+      node.styles[property] = style.getPropertyValue(property);
+    });
+
+    for (const child of element.children) {
+      const childNode = visit(child);
+      if (childNode) node.children.push(childNode);
+    }
+    return node;
+  };
+
+  const tree = visit(root);
+  return { root: tree, truncated: count >= max };
+}
+
+// Snapshot of the rendered DOM of a page, or of options.selector's element
+async function snapshotDom(page, selector = null) {
+  return page.evaluate(
+    serializeDom,
+    selector,
+    KEY_ATTRIBUTES,
+    STYLE_PROPERTIES,
+    SKIPPED_TAGS,
+    MAX_ELEMENTS,
+  );
+}
+
+function classesOf(node) {
+  return (node.attributes.class || "").split(/\s+/).filter(Boolean);
+}
+
+// "section#intro" or "div.card.featured" as shown in the report
+function describeNode(node) {
+  if (node.attributes.id) return `${node.tag}#${node.attributes.id}`;
+  const classes = classesOf(node).slice(0, 2);
+  return [node.tag, ...classes].join(".");
+}
+
+// Siblings are matched on tag, id and classes first; an element whose
+// classes changed is then still recognized by tag and id
+function signatureOf(node) {
+  return [node.tag, node.attributes.id || "", ...classesOf(node).sort()]
+    .join("|");
+}
+
+function looseSignatureOf(node) {
+  return `${node.tag}|${node.attributes.id || ""}`;
+}
+
+function countElements(node) {
+  return node.children.reduce((sum, child) => sum + countElements(child), 1);
+}
+
+// Longest common subsequence of two signature lists as [[i, j], ...]
+function matchSequences(a, b) {
+  if (a.length * b.length > MAX_MATCH_CELLS) {
+    const matches = [];
+    let start = 0;
+    while (start < a.length && start < b.length && a[start] === b[start]) {
+      matches.push([start, start]);
+      start++;
+    }
+    let end = 1;
+    while (
+      end <= a.length - start && end <= b.length - start &&
+      a[a.length - end] === b[b.length - end]
+    ) {
+      end++;
+    }
+    for (let offset = end - 1; offset >= 1; offset--) {
+      matches.push([a.length - offset, b.length - offset]);
+    }
+    return matches;
+  }
+
+  const columns = b.length + 1;
+  const lengths = new Uint32Array((a.length + 1) * columns);
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i * columns + j] = a[i] === b[j]
+        ? lengths[(i + 1) * columns + j + 1] + 1
+        : Math.max(
+          lengths[(i + 1) * columns + j],
+          lengths[i * columns + j + 1],
+        );
+    }
+  }
+
+  const matches = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      matches.push([i, j]);
+      i++;
+      j++;
+    } else if (lengths[(i + 1) * columns + j] >= lengths[i * columns + j + 1]) {
+      i++;
+    } else {
+      j++;
+    }
+  }
+  return matches;
+}
+
+// Pair up the children of two matched elements. Returns [before, after]
+// pairs in document order, with null for an element found on one side only.
+function pairChildren(beforeChildren, afterChildren) {
+  const anchors = matchSequences(
+    beforeChildren.map(signatureOf),
+    afterChildren.map(signatureOf),
+  );
+  anchors.push([beforeChildren.length, afterChildren.length]);
+
+  const pairs = [];
+  let i = 0;
+  let j = 0;
+  for (const [anchorI, anchorJ] of anchors) {
+    // Between two anchors, elements with the same tag and id are the same
+    // element with other classes
+    const unmatchedAfter = afterChildren.slice(j, anchorJ);
+    const used = new Set();
+    let searchFrom = 0;
+    for (; i < anchorI; i++) {
+      const loose = looseSignatureOf(beforeChildren[i]);
+      const found = unmatchedAfter.findIndex((child, index) =>
+        index >= searchFrom && looseSignatureOf(child) === loose
+      );
+      if (found === -1) {
+        pairs.push([beforeChildren[i], null]);
+        continue;
+      }
+      for (let index = searchFrom; index < found; index++) {
+        pairs.push([null, unmatchedAfter[index]]);
+        used.add(index);
+      }
+      pairs.push([beforeChildren[i], unmatchedAfter[found]]);
+      used.add(found);
+      searchFrom = found + 1;
+    }
+    unmatchedAfter.forEach((child, index) => {
+      if (!used.has(index)) pairs.push([null, child]);
+    });
+
+    if (anchorI < beforeChildren.length) {
+      pairs.push([beforeChildren[anchorI], afterChildren[anchorJ]]);
+    }
+    i = anchorI + 1;
+    j = anchorJ + 1;
+  }
+  return pairs;
+}
+
+function isEmptyBox(box) {
+  return box.width === 0 && box.height === 0;
+}
+
+function differs(a, b) {
+  return Math.abs(a - b) > BOX_TOLERANCE;
+}
+
+// Compare two elements known to be the same one. Position is taken
+// relative to the parent, so children of a moved element do not count as
+// moved themselves.
+function compareNodes(before, after, parents) {
+  const kinds = [];
+  const visible = !isEmptyBox(before.box) && !isEmptyBox(after.box);
+
+  if (visible && parents) {
+    const [beforeParent, afterParent] = parents;
+    const beforeX = before.box.x - beforeParent.box.x;
+    const beforeY = before.box.y - beforeParent.box.y;
+    const afterX = after.box.x - afterParent.box.x;
+    const afterY = after.box.y - afterParent.box.y;
+    if (differs(beforeX, afterX) || differs(beforeY, afterY)) {
+      kinds.push("moved");
+    }
+  }
+  if (
+    differs(before.box.width, after.box.width) ||
+    differs(before.box.height, after.box.height)
+  ) {
+    kinds.push("resized");
+  }
+
+  const styles = {};
+  for (const property of STYLE_PROPERTIES) {
+    if (before.styles[property] !== after.styles[property]) {
+      styles[property] = [before.styles[property], after.styles[property]];
+    }
+  }
+  if (Object.keys(styles).length > 0) kinds.push("restyled");
+
+  const attributes = {};
+  for (const name of KEY_ATTRIBUTES) {
+    if (before.attributes[name] !== after.attributes[name]) {
+      attributes[name] = [before.attributes[name], after.attributes[name]];
+    }
+  }
+  if (Object.keys(attributes).length > 0) kinds.push("attributes");
+
+  return { kinds, styles, attributes };
+}
+
+// Structural diff of two snapshots from snapshotDom. Returns
+// { summary, changes, omitted, truncated }: summary counts elements added,
+// removed, moved, resized, restyled and with changed attributes; changes
+// lists them in document order as { type, path, ... }, where an added or
+// removed subtree is one change, and omitted counts those past the limit.
+function diffDomSnapshots(before, after) {
+  const summary = {
+    added: 0,
+    removed: 0,
+    moved: 0,
+    resized: 0,
+    restyled: 0,
+    attributes: 0,
+  };
+  const changes = [];
+  let omitted = 0;
+  const record = (change) => {
+    if (changes.length < MAX_CHANGES) changes.push(change);
+    else omitted++;
+  };
+
+  const walk = (beforeNode, afterNode, parents, parentPath) => {
+    if (!afterNode) {
+      const elements = countElements(beforeNode);
+      summary.removed += elements;
+      record({
+        type: "removed",
+        path: `${parentPath}${describeNode(beforeNode)}`,
+        elements,
+        before: beforeNode.box,
+      });
+      return;
+    }
+    if (!beforeNode) {
+      const elements = countElements(afterNode);
+      summary.added += elements;
+      record({
+        type: "added",
+        path: `${parentPath}${describeNode(afterNode)}`,
+        elements,
+        after: afterNode.box,
+      });
+      return;
+    }
+
+    const nodePath = `${parentPath}${describeNode(afterNode)}`;
+    const { kinds, styles, attributes } = compareNodes(
+      beforeNode,
+      afterNode,
+      parents,
+    );
+    if (kinds.length > 0) {
+      kinds.forEach((kind) => summary[kind]++);
+      record({
+        type: "changed",
+        path: nodePath,
+        kinds,
+        before: beforeNode.box,
+        after: afterNode.box,
+        styles,
+        attributes,
+      });
+    }
+
+    for (
+      const [beforeChild, afterChild] of pairChildren(
+        beforeNode.children,
+        afterNode.children,
+      )
+    ) {
+      walk(beforeChild, afterChild, [beforeNode, afterNode], `${nodePath} > `);
+    }
+  };
+
+  walk(before.root, after.root, null, "");
+
+  return {
+    summary,
+    changes,
+    omitted,
+    truncated: Boolean(before.truncated || after.truncated),
+  };
+}
+
+module.exports = { snapshotDom, diffDomSnapshots };
@@ -0,0 +1,64 @@
+#!/usr/bin/env node
+
+const path = require("path");
+
+const SIDES = ["before", "after"];
+
+function loadHookModule(resolvedPath) {
+  try {
+    return require(resolvedPath);
+  } catch (error) {
+    throw new Error(`Failed to load hook ${resolvedPath}: ${error.message}`);
+  }
+}
+
+// Resolve the hook for one side. A hook is given as
+//   - a function          beforeCapture(page, { side, url, pairId })
+//   - a path to a module  exporting beforeCapture (or being the function)
+//   - { before, after }   either of the above per side
+// Relative module paths are resolved from baseDir; paths exported by a hook
+// module are resolved from that module's directory.
+function resolveSideHook(value, side, where, baseDir) {
+  if (value === undefined || value === null) return null;
+
+  if (typeof value === "function") return value;
+
+  if (typeof value === "string") {
+    const resolvedPath = path.resolve(baseDir, value);
+    const exported = loadHookModule(resolvedPath);
+    const hook = exported && typeof exported === "object" &&
+        exported.beforeCapture !== undefined
+      ? exported.beforeCapture
+      : exported;
+    const isSideMap = hook && typeof hook === "object" &&
+      SIDES.some((key) => hook[key] !== undefined);
+    if (typeof hook !== "function" && !isSideMap) {
+      throw new Error(`${value} does not export a beforeCapture function`);
+    }
+    return resolveSideHook(hook, side, value, path.dirname(resolvedPath));
+  }
+
+  if (typeof value === "object" && !Array.isArray(value)) {
+    const unknown = Object.keys(value).filter((key) => !SIDES.includes(key));
+    if (unknown.length > 0) {
+      throw new Error(
+        `Unknown hook side "${unknown[0]}" in ${where} (expected before/after)`,
+      );
+    }
+    return resolveSideHook(value[side], side, where, baseDir);
+  }
+
+  throw new Error(`Invalid hook in ${where}: expected a function or a path`);
+}
+
+// Returns { before, after } with a function or null for each side. Hooks
+// from a config file arrive with their paths already resolved from it.
+function loadHooks(value, where = "options", baseDir = process.cwd()) {
+  const hooks = {};
+  for (const side of SIDES) {
+    hooks[side] = resolveSideHook(value, side, where, baseDir);
+  }
+  return hooks;
+}
+
+module.exports = { loadHooks };
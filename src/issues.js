@@ -0,0 +1,99 @@
+#!/usr/bin/env node
+
+// Only this many issues are kept per side; the rest are counted
+const MAX_ISSUES = 100;
+
+const CONSOLE_TYPES = { error: "console-error", warn: "console-warning" };
+
+// The issues recorded for one side: { issues, omitted }, where omitted
+// counts the issues past the limit
+function createIssueLog() {
+  return { issues: [], omitted: 0 };
+}
+
+// Record console errors and warnings, uncaught exceptions, failed requests
+// and non-2xx responses of a page into log (from createIssueLog), as
+// { type, message, url?, status? }. Returns a function that stops recording.
+function watchPageIssues(page, log) {
+  const add = (issue) => {
+    if (log.issues.length < MAX_ISSUES) log.issues.push(issue);
+    else log.omitted++;
+  };
+
+  const onConsole = (message) => {
+    const type = CONSOLE_TYPES[message.type()];
+    if (!type) return;
+    const location = message.location();
+    add({ type, message: message.text(), url: location && location.url });
+  };
+  const onPageError = (error) => {
+    add({ type: "exception", message: error.message || String(error) });
+  };
+  const onRequestFailed = (request) => {
+    const failure = request.failure();
+    add({
+      type: "request-failed",
+      message: `${request.method()} ${request.url()}: ${
+        failure ? failure.errorText : "failed"
+      }`,
+      url: request.url(),
+    });
+  };
+  const onResponse = (response) => {
+    const status = response.status();
+    if (status >= 200 && status < 300) return;
+    add({
+      type: "response",
+      message: `${response.request().method()} ${response.url()}: ${status} ${
+        response.statusText()
+      }`.trim(),
+      url: response.url(),
+      status,
+    });
+  };
+
+  page.on("console", onConsole);
+  page.on("pageerror", onPageError);
+  page.on("requestfailed", onRequestFailed);
+  page.on("response", onResponse);
+
+  return () => {
+    page.off("console", onConsole);
+    page.off("pageerror", onPageError);
+    page.off("requestfailed", onRequestFailed);
+    page.off("response", onResponse);
+  };
+}
+
+// Before and after are usually different hosts, so issues are compared
+// with the origins taken out of their messages
+function issueKey(issue) {
+  return `${issue.type}|${
+    issue.message.replace(/\bhttps?:\/\/[^/\s]+/g, "")
+  }`;
+}
+
+// Pair up the issue logs of both sides: after-side issues not seen on the
+// before side are marked new. Returns { before, after, newCount, omitted }
+// with the issue lists of both sides and omitted as { before, after }.
+// Without a before side (a baseline screenshot) nothing is marked new.
+function compareIssues(before, after) {
+  const omitted = { before: before ? before.omitted : 0, after: after.omitted };
+  if (!before) {
+    return { before: null, after: after.issues, newCount: 0, omitted };
+  }
+
+  const beforeKeys = new Set(before.issues.map(issueKey));
+  const marked = after.issues.map((issue) => ({
+    ...issue,
+    new: !beforeKeys.has(issueKey(issue)),
+  }));
+  return {
+    before: before.issues,
+    after: marked,
+    newCount: marked.filter((issue) => issue.new).length,
+    omitted,
+  };
+}
+
+module.exports = { createIssueLog, watchPageIssues, compareIssues };
@@ -0,0 +1,49 @@
+#!/usr/bin/env node
+
+// "both" captures every pair once per scheme
+const COLOR_SCHEMES = ["light", "dark", "both"];
+const MEDIA_TYPES = ["screen", "print"];
+
+function parseChoice(value, choices, what) {
+  if (!choices.includes(value)) {
+    throw new Error(
+      `Invalid ${what} "${value}" (expected one of: ${choices.join(", ")})`,
+    );
+  }
+  return value;
+}
+
+function parseColorScheme(value) {
+  return parseChoice(value, COLOR_SCHEMES, "color scheme");
+}
+
+function parseMediaType(value) {
+  return parseChoice(value, MEDIA_TYPES, "media type");
+}
+
+// The schemes to capture for a --color-scheme value; [null] keeps the
+// page's default
+function expandColorSchemes(value) {
+  if (!value) return [null];
+  return value === "both" ? ["light", "dark"] : [value];
+}
+
+// Emulate the media type and features from options. Unset values are reset
+// since the same page is reused for the before and after sides.
+async function emulateMedia(page, options) {
+  await page.emulateMediaType(options.media || null);
+  await page.emulateMediaFeatures([
+    { name: "prefers-color-scheme", value: options.colorScheme || "" },
+    {
+      name: "prefers-reduced-motion",
+      value: options.reducedMotion ? "reduce" : "",
+    },
+  ]);
+}
+
+module.exports = {
+  parseColorScheme,
+  parseMediaType,
+  expandColorSchemes,
+  emulateMedia,
+};
@@ -0,0 +1,65 @@
+#!/usr/bin/env node
+
+const fs = require("fs").promises;
+
+// Normalize an entry of a path list. Full URLs are accepted so lists can be
+// pasted straight from a browser; only their path and query are kept.
+function normalizePath(entry) {
+  const trimmed = entry.trim();
+
+  if (/^https?:\/\//i.test(trimmed)) {
+    const url = new URL(trimmed);
+    return `${url.pathname}${url.search}${url.hash}`;
+  }
+
+  return trimmed.startsWith("/") ? trimmed : `/${trimmed}`;
+}
+
+function joinOrigin(origin, pagePath) {
+  return `${origin.replace(/\/+$/, "")}${pagePath}`;
+}
+
+// Read a path list file: one path per line, blank lines and lines starting
+// with "#" are ignored.
+async function readPathList(filePath) {
+  const data = await fs.readFile(filePath, "utf-8");
+  return data
+    .split(/\r?\n/)
+    .map((line) => line.trim())
+    .filter((line) => line && !line.startsWith("#"));
+}
+
+// Split a comma-separated option value ("/,/about,/pricing") into entries
+function parseList(value) {
+  if (Array.isArray(value)) return value;
+  return String(value)
+    .split(",")
+    .map((entry) => entry.trim())
+    .filter(Boolean);
+}
+
+// Build {before, after} pairs by mapping every path onto both origins
+function buildOriginPairs(beforeOrigin, afterOrigin, paths) {
+  const seen = new Set();
+  const pairs = [];
+
+  for (const entry of paths) {
+    const pagePath = normalizePath(entry);
+    if (seen.has(pagePath)) continue;
+    seen.add(pagePath);
+
+    pairs.push({
+      path: pagePath,
+      before: joinOrigin(beforeOrigin, pagePath),
+      after: joinOrigin(afterOrigin, pagePath),
+    });
+  }
+
+  return pairs;
+}
+
+module.exports = {
+  readPathList,
+  parseList,
+  buildOriginPairs,
+};
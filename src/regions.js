@@ -0,0 +1,92 @@
+#!/usr/bin/env node
+
+// Differing pixels are bucketed into square cells of this size; cells with
+// changes that touch (or are at most MERGE_GAP cells apart) form one region
+const CELL_SIZE = 16;
+const MERGE_GAP = 1;
+// Noisy pages can produce many tiny regions; only the largest are kept
+const MAX_REGIONS = 100;
+
+// Cluster the changed pixels of a diff mask into bounding boxes.
+// isChanged(x, y) tells whether a pixel differs. Returns
+// [{ x, y, width, height, pixels }] sorted top to bottom.
+function findChangedRegions(isChanged, width, height) {
+  const columns = Math.ceil(width / CELL_SIZE);
+  const rows = Math.ceil(height / CELL_SIZE);
+
+  // Per cell: changed pixel count and the exact bounds of those pixels
+  const counts = new Uint32Array(columns * rows);
+  const bounds = new Map();
+  for (let y = 0; y < height; y++) {
+    const row = Math.floor(y / CELL_SIZE);
+    for (let x = 0; x < width; x++) {
+      if (!isChanged(x, y)) continue;
+
+      const cell = row * columns + Math.floor(x / CELL_SIZE);
+      counts[cell]++;
+      const box = bounds.get(cell);
+      if (box) {
+        box.minX = Math.min(box.minX, x);
+        box.maxX = Math.max(box.maxX, x);
+        box.maxY = y;
+      } else {
+        bounds.set(cell, { minX: x, maxX: x, minY: y, maxY: y });
+      }
+    }
+  }
+
+  // Flood-fill neighbouring changed cells into regions
+  const visited = new Uint8Array(columns * rows);
+  const regions = [];
+  for (const start of bounds.keys()) {
+    if (visited[start]) continue;
+    visited[start] = 1;
+
+    const region = { minX: width, minY: height, maxX: 0, maxY: 0, pixels: 0 };
+    const stack = [start];
+    while (stack.length > 0) {
+      const cell = stack.pop();
+      const box = bounds.get(cell);
+      region.minX = Math.min(region.minX, box.minX);
+      region.minY = Math.min(region.minY, box.minY);
+      region.maxX = Math.max(region.maxX, box.maxX);
+      region.maxY = Math.max(region.maxY, box.maxY);
+      region.pixels += counts[cell];
+
+      const column = cell % columns;
+      const row = Math.floor(cell / columns);
+      for (let dy = -1 - MERGE_GAP; dy <= 1 + MERGE_GAP; dy++) {
+        for (let dx = -1 - MERGE_GAP; dx <= 1 + MERGE_GAP; dx++) {
+          const neighbourColumn = column + dx;
+          const neighbourRow = row + dy;
+          if (
+            neighbourColumn < 0 || neighbourColumn >= columns ||
+            neighbourRow < 0 || neighbourRow >= rows
+          ) {
+            continue;
+          }
+          const neighbour = neighbourRow * columns + neighbourColumn;
+          if (counts[neighbour] > 0 && !visited[neighbour]) {
+            visited[neighbour] = 1;
+            stack.push(neighbour);
+          }
+        }
+      }
+    }
+
+    regions.push({
+      x: region.minX,
+      y: region.minY,
+      width: region.maxX - region.minX + 1,
+      height: region.maxY - region.minY + 1,
+      pixels: region.pixels,
+    });
+  }
+
+  return regions
+    .sort((a, b) => b.width * b.height - a.width * a.height)
+    .slice(0, MAX_REGIONS)
+    .sort((a, b) => a.y - b.y || a.x - b.x);
+}
+
+module.exports = { findChangedRegions };
@@ -0,0 +1,130 @@
+#!/usr/bin/env node
+
+const fs = require("fs").promises;
+const path = require("path");
+
+const RESULTS_FILE = "results.json";
+
+// Title of a result in reports: "name @ device viewport scheme media"
+function getResultTitle(result) {
+  const title = result.name || result.id;
+  const target = [
+    result.device,
+    result.viewport,
+    result.colorScheme,
+    result.media,
+  ].filter(Boolean).join(" ");
+  return target ? `${title} @ ${target}` : title;
+}
+
+function summarize(results) {
+  return {
+    total: results.length,
+    identical: results.filter((result) =>
+      !result.error && parseFloat(result.diffPercentage) === 0
+    ).length,
+    different: results.filter((result) =>
+      !result.error && parseFloat(result.diffPercentage) > 0
+    ).length,
+    errors: results.filter((result) => result.error).length,
+    textOnly: results.filter((result) => result.text && result.text.textOnly)
+      .length,
+    failed: results.filter((result) => result.failure).length,
+  };
+}
+
+// Write <outputDir>/results.json. Image paths in results are relative to
+// outputDir, like in the HTML report.
+async function writeResultsJson(results, outputDir, run) {
+  const resultsPath = path.join(outputDir, RESULTS_FILE);
+  const data = {
+    startedAt: new Date(run.startedAt).toISOString(),
+    durationMs: run.durationMs,
+    summary: summarize(results),
+    results,
+  };
+
+  await fs.writeFile(resultsPath, JSON.stringify(data, null, 2), "utf-8");
+  return resultsPath;
+}
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+}
+
+function toSeconds(ms) {
+  return ((ms || 0) / 1000).toFixed(3);
+}
+
+// One <testcase> per result. Pairs that could not be processed are
+// <error>s, pairs over the --fail-on-diff/--fail-on-ssim budget are
+// <failure>s.
+function renderTestCase(result, title) {
+  const attributes = `name="${escapeXml(title)}" classname="quick-vrt.${
+    escapeXml(result.group || result.id)
+  }" time="${toSeconds(result.timings && result.timings.total)}"`;
+  const lines = [`Before: ${result.beforeUrl}`, `After: ${result.afterUrl}`];
+  if (!result.error) {
+    lines.push(
+      `Difference: ${result.diffPercentage}% (${result.pixelDiff} pixels)`,
+    );
+    if (result.ssim !== undefined) lines.push(`SSIM: ${result.ssim}`);
+    if (result.text && result.text.changed) {
+      lines.push(
+        `Text: +${result.text.added} / -${result.text.removed} words${
+          result.text.textOnly ? " (text only)" : ""
+        }`,
+      );
+    }
+    lines.push(`Diff image: ${result.diffImage}`);
+  }
+  const output = escapeXml(lines.join("\n"));
+
+  let body = "";
+  if (result.error) {
+    body = `
+      <error message="${escapeXml(result.error)}"/>`;
+  } else if (result.failure) {
+    body = `
+      <failure message="${escapeXml(result.failure)}"/>`;
+  }
+
+  return `
+    <testcase ${attributes}>${body}
+      <system-out>${output}</system-out>
+    </testcase>`;
+}
+
+// Write a JUnit XML report for CI systems
+async function writeJUnitReport(results, filePath, run) {
+  const summary = summarize(results);
+  const failures = results.filter((result) =>
+    result.failure && !result.error
+  ).length;
+  const testCases = results.map((result) =>
+    renderTestCase(result, getResultTitle(result))
+  ).join("");
+
+  const xml = `<?xml version="1.0" encoding="UTF-8"?>
+<testsuites name="quick-vrt" tests="${summary.total}" failures="${failures}" errors="${summary.errors}" time="${
+    toSeconds(run.durationMs)
+  }">
+  <testsuite name="quick-vrt" tests="${summary.total}" failures="${failures}" errors="${summary.errors}" time="${
+    toSeconds(run.durationMs)
+  }" timestamp="${new Date(run.startedAt).toISOString()}">${testCases}
+  </testsuite>
+</testsuites>
+`;
+
+  const resolvedPath = path.resolve(filePath);
+  await fs.mkdir(path.dirname(resolvedPath), { recursive: true });
+  await fs.writeFile(resolvedPath, xml, "utf-8");
+  return resolvedPath;
+}
+
+module.exports = { getResultTitle, writeResultsJson, writeJUnitReport };
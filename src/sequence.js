@@ -0,0 +1,90 @@
+#!/usr/bin/env node
+
+// Myers' diff of two sequences of values compared with ===, such as row
+// hashes or words. Returns the edit script as "=", "-" (item only in a) and
+// "+" (item only in b) operations, or null when the sequences differ by more
+// than maxEdits items.
+function diffSequences(a, b, maxEdits) {
+  const n = a.length;
+  const m = b.length;
+  const offset = n + m + 1;
+  const v = new Int32Array(2 * offset + 1);
+  const trace = [];
+
+  let found = false;
+  for (let d = 0; d <= Math.min(n + m, maxEdits) && !found; d++) {
+    for (let k = -d; k <= d; k += 2) {
+      let x = k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])
+        ? v[offset + k + 1]
+        : v[offset + k - 1] + 1;
+      let y = x - k;
+      while (x < n && y < m && a[x] === b[y]) {
+        x++;
+        y++;
+      }
+      v[offset + k] = x;
+      if (x >= n && y >= m) {
+        found = true;
+        break;
+      }
+    }
+    trace.push(v.slice(offset - d, offset + d + 1));
+  }
+  if (!found) return null;
+
+  // Walk the trace backwards to recover the operations
+  const operations = [];
+  let x = n;
+  let y = m;
+  for (let d = trace.length - 1; d > 0; d--) {
+    const previous = trace[d - 1];
+    const at = (k) => previous[k + d - 1];
+    const k = x - y;
+    const previousK = k === -d || (k !== d && at(k - 1) < at(k + 1))
+      ? k + 1
+      : k - 1;
+    const previousX = at(previousK);
+    const previousY = previousX - previousK;
+
+    while (x > previousX && y > previousY) {
+      operations.push("=");
+      x--;
+      y--;
+    }
+    operations.push(x === previousX ? "+" : "-");
+    x = previousX;
+    y = previousY;
+  }
+  while (x > 0 && y > 0) {
+    operations.push("=");
+    x--;
+    y--;
+  }
+
+  return operations.reverse();
+}
+
+// Edit script for sequences too different for diffSequences: keep the
+// common start and end, everything in between is one changed block
+function diffByPrefixAndSuffix(a, b) {
+  let prefix = 0;
+  while (prefix < a.length && prefix < b.length && a[prefix] === b[prefix]) {
+    prefix++;
+  }
+  let suffix = 0;
+  while (
+    suffix < a.length - prefix && suffix < b.length - prefix &&
+    a[a.length - 1 - suffix] === b[b.length - 1 - suffix]
+  ) {
+    suffix++;
+  }
+
+  return [
+    ...Array(prefix).fill("="),
+    ...Array(a.length - prefix - suffix).fill("-"),
+    ...Array(b.length - prefix - suffix).fill("+"),
+    ...Array(suffix).fill("="),
+  ];
+}
+
+module.exports = { diffSequences, diffByPrefixAndSuffix };
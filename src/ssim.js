@@ -0,0 +1,113 @@
+#!/usr/bin/env node
+
+const { PNG } = require("pngjs");
+
+// SSIM is computed over square windows of this size
+const WINDOW_SIZE = 8;
+// Stabilizing constants from the SSIM paper for 8-bit images
+const C1 = (0.01 * 255) ** 2;
+const C2 = (0.03 * 255) ** 2;
+
+function toLuminance(data, width, height) {
+  const luminance = new Float32Array(width * height);
+  for (let i = 0; i < luminance.length; i++) {
+    const offset = i * 4;
+    // Composite on white so transparent pixels compare like the screenshot
+    const alpha = data[offset + 3] / 255;
+    const r = 255 + (data[offset] - 255) * alpha;
+    const g = 255 + (data[offset + 1] - 255) * alpha;
+    const b = 255 + (data[offset + 2] - 255) * alpha;
+    luminance[i] = 0.299 * r + 0.587 * g + 0.114 * b;
+  }
+  return luminance;
+}
+
+// Structural similarity of two same-sized RGBA images, computed on their
+// luminance over non-overlapping windows. score is the mean over all
+// windows: 1 for identical images, lower as structure changes. windows
+// holds each window's score for the heatmap.
+function computeSsim(beforeData, afterData, width, height) {
+  const before = toLuminance(beforeData, width, height);
+  const after = toLuminance(afterData, width, height);
+  const columns = Math.ceil(width / WINDOW_SIZE);
+  const rows = Math.ceil(height / WINDOW_SIZE);
+  const windows = new Float32Array(columns * rows);
+
+  let total = 0;
+  for (let row = 0; row < rows; row++) {
+    for (let column = 0; column < columns; column++) {
+      const x0 = column * WINDOW_SIZE;
+      const y0 = row * WINDOW_SIZE;
+      const x1 = Math.min(x0 + WINDOW_SIZE, width);
+      const y1 = Math.min(y0 + WINDOW_SIZE, height);
+      const count = (x1 - x0) * (y1 - y0);
+
+      let sumBefore = 0;
+      let sumAfter = 0;
+      for (let y = y0; y < y1; y++) {
+        for (let x = x0; x < x1; x++) {
+          sumBefore += before[y * width + x];
+          sumAfter += after[y * width + x];
+        }
+      }
+      const meanBefore = sumBefore / count;
+      const meanAfter = sumAfter / count;
+
+      let varianceBefore = 0;
+      let varianceAfter = 0;
+      let covariance = 0;
+      for (let y = y0; y < y1; y++) {
+        for (let x = x0; x < x1; x++) {
+          const deltaBefore = before[y * width + x] - meanBefore;
+          const deltaAfter = after[y * width + x] - meanAfter;
+          varianceBefore += deltaBefore * deltaBefore;
+          varianceAfter += deltaAfter * deltaAfter;
+          covariance += deltaBefore * deltaAfter;
+        }
+      }
+      varianceBefore /= count;
+      varianceAfter /= count;
+      covariance /= count;
+
+      const score = ((2 * meanBefore * meanAfter + C1) * (2 * covariance + C2)) /
+        ((meanBefore ** 2 + meanAfter ** 2 + C1) *
+          (varianceBefore + varianceAfter + C2));
+      windows[row * columns + column] = score;
+      total += score;
+    }
+  }
+
+  return { score: total / windows.length, windows, columns, rows };
+}
+
+// Heatmap of an SSIM result over a faded grayscale copy of the before
+// image: the less similar a window, the more opaque its color.
+function renderSsimHeatmap(beforeData, width, height, ssim, color = [255, 0, 0]) {
+  const heatmap = new PNG({ width, height });
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const offset = (y * width + x) * 4;
+      const window = Math.floor(y / WINDOW_SIZE) * ssim.columns +
+        Math.floor(x / WINDOW_SIZE);
+      const dissimilarity = Math.min(1, Math.max(0, 1 - ssim.windows[window]));
+
+      const gray = 0.299 * beforeData[offset] + 0.587 * beforeData[offset + 1] +
+        0.114 * beforeData[offset + 2];
+      const faded = 255 + (gray - 255) * 0.1;
+      // Small dissimilarities are boosted so they stay visible
+      const strength = Math.sqrt(dissimilarity);
+
+      for (let channel = 0; channel < 3; channel++) {
+        heatmap.data[offset + channel] = Math.round(
+          faded + (color[channel] - faded) * strength,
+        );
+      }
+      heatmap.data[offset + 3] = 255;
+    }
+  }
+
+  return heatmap;
+}
+
+module.exports = { computeSsim, renderSsimHeatmap };
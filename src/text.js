@@ -0,0 +1,125 @@
+#!/usr/bin/env node
+
+const { diffSequences, diffByPrefixAndSuffix } = require("./sequence");
+
+// Unchanged words kept around each change; longer unchanged runs are
+// collapsed in the report
+const CONTEXT_WORDS = 8;
+// Texts with more word changes than this are diffed by their common start
+// and end only
+const MAX_WORD_EDITS = 5000;
+
+// The rendered text of the page, or of the selector's element, as the user
+// sees it: innerText skips hidden elements and follows the layout
+async function extractText(page, selector = null) {
+  return page.evaluate((rootSelector) => {
+    const root = rootSelector
+      ? document.querySelector(rootSelector)
+      : document.body;
+    return root ? root.innerText : "";
+  }, selector);
+}
+
+// Words plus one "\n" token per line break (blank lines collapsed)
+function tokenize(text) {
+  return text.replace(/\s*\n\s*/g, "\n").trim().match(/\S+|\n/g) || [];
+}
+
+function joinTokens(tokens) {
+  return tokens.map((token, index) =>
+    index === 0 || token === "\n" || tokens[index - 1] === "\n"
+      ? token
+      : ` ${token}`
+  ).join("");
+}
+
+function countWords(tokens) {
+  return tokens.filter((token) => token !== "\n").length;
+}
+
+// Long unchanged runs keep CONTEXT_WORDS on the sides that touch a change
+function condenseEqual(tokens, isFirst, isLast) {
+  const head = isFirst ? 0 : CONTEXT_WORDS;
+  const tail = isLast ? 0 : CONTEXT_WORDS;
+  if (tokens.length <= head + tail) {
+    return [{ type: "equal", text: joinTokens(tokens) }];
+  }
+
+  const segments = [];
+  if (head > 0) {
+    segments.push({ type: "equal", text: joinTokens(tokens.slice(0, head)) });
+  }
+  segments.push({
+    type: "skipped",
+    words: countWords(tokens.slice(head, tokens.length - tail)),
+  });
+  if (tail > 0) {
+    segments.push({
+      type: "equal",
+      text: joinTokens(tokens.slice(tokens.length - tail)),
+    });
+  }
+  return segments;
+}
+
+// Word-level diff of two texts from extractText. Returns
+// { changed, added, removed, segments }: added and removed count words,
+// segments is the diff as { type: "equal" | "added" | "removed", text } and
+// { type: "skipped", words } for collapsed unchanged runs (empty when the
+// texts are the same).
+function diffText(before, after) {
+  const beforeTokens = tokenize(before);
+  const afterTokens = tokenize(after);
+  const operations =
+    diffSequences(beforeTokens, afterTokens, MAX_WORD_EDITS) ||
+    diffByPrefixAndSuffix(beforeTokens, afterTokens);
+
+  // Group the operations into runs of the same type
+  const runs = [];
+  let beforeIndex = 0;
+  let afterIndex = 0;
+  for (const operation of operations) {
+    const type = operation === "="
+      ? "equal"
+      : operation === "-"
+      ? "removed"
+      : "added";
+    const token = operation === "+"
+      ? afterTokens[afterIndex]
+      : beforeTokens[beforeIndex];
+    if (operation !== "+") beforeIndex++;
+    if (operation !== "-") afterIndex++;
+
+    const last = runs[runs.length - 1];
+    if (last && last.type === type) last.tokens.push(token);
+    else runs.push({ type, tokens: [token] });
+  }
+
+  const added = countWords(
+    runs.flatMap((run) => (run.type === "added" ? run.tokens : [])),
+  );
+  const removed = countWords(
+    runs.flatMap((run) => (run.type === "removed" ? run.tokens : [])),
+  );
+  if (added === 0 && removed === 0) {
+    return { changed: false, added, removed, segments: [] };
+  }
+
+  const segments = runs.flatMap((run, index) =>
+    run.type === "equal"
+      ? condenseEqual(run.tokens, index === 0, index === runs.length - 1)
+      : [{ type: run.type, text: joinTokens(run.tokens) }]
+  );
+  return { changed: true, added, removed, segments };
+}
+
+// Whether only the text of a page changed: the words differ but the DOM
+// diff found no element added, removed, restyled or with other attributes.
+// Moves and resizes are allowed since they follow from text reflowing.
+function isTextOnlyChange(text, dom) {
+  if (!text || !text.changed || !dom) return false;
+  const { added, removed, restyled, attributes } = dom.summary;
+  return added + removed + restyled + attributes === 0;
+}
+
+module.exports = { extractText, diffText, isTextOnlyChange };
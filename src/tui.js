@@ -6,19 +6,34 @@ const { HistoryManager } = require("./history");
 const { KeyHandlers } = require("./tui/key-handlers");
 const { UIComponents } = require("./tui/ui-components");
 
-const VrtTui = ({ onSubmit, useInput, useApp, Box, Text, TextInputComponent }) => {
-  const [urlPairs, setUrlPairs] = useState([{ before: "", after: "" }]);
+const VrtTui = ({
+  onSubmit,
+  useInput,
+  useApp,
+  Box,
+  Text,
+  TextInputComponent,
+  initialOptions = {},
+  initialPairs = [],
+}) => {
+  const [urlPairs, setUrlPairs] = useState(
+    initialPairs.length > 0
+      ? initialPairs.map((pair) => ({ before: pair.before, after: pair.after }))
+      : [{ before: "", after: "" }],
+  );
   const [currentPair, setCurrentPair] = useState(0);
   const [currentField, setCurrentField] = useState("before");
   const [mode, setMode] = useState("menu");
   const [menuSelection, setMenuSelection] = useState(0);
   const [historyItems, setHistoryItems] = useState([]);
   const [historySelection, setHistorySelection] = useState(0);
+  // 設定ファイルやコマンドラインで指定された値を初期値にする
   const [options, setOptions] = useState({
     width: 1280,
     height: 800,
-    threshold: 0.01,
+    threshold: 0.1,
     outputDir: "./vrt-reports",
+    ...initialOptions,
   });
   const [optionSelection, setOptionSelection] = useState(0);
   const [editingOption, setEditingOption] = useState(false);
@@ -171,7 +186,7 @@ const VrtTui = ({ onSubmit, useInput, useApp, Box, Text, TextInputComponent }) =
 };
 
 // TUIを起動する関数
-const startTui = async () => {
+const startTui = async ({ options = {}, pairs = [] } = {}) => {
   return new Promise(async (resolve) => {
     const { render, Box, Text, useInput, useApp } = await import("ink");
     
@@ -195,6 +210,8 @@ const startTui = async () => {
       Box,
       Text,
       TextInputComponent,
+      initialOptions: options,
+      initialPairs: pairs,
     }));
   });
 };
@@ -0,0 +1,38 @@
+#!/usr/bin/env node
+
+// Parse a viewport list such as "375x812,768x1024,1440x900" (or an array of
+// "WxH" strings / { width, height } objects from the config file)
+function parseViewports(value) {
+  const entries = Array.isArray(value) ? value : String(value).split(",");
+
+  return entries
+    .map((entry) => (typeof entry === "string" ? entry.trim() : entry))
+    .filter(Boolean)
+    .map((entry) => {
+      let width;
+      let height;
+
+      if (typeof entry === "object") {
+        width = parseInt(entry.width);
+        height = parseInt(entry.height);
+      } else {
+        const match = entry.match(/^(\d+)\s*[x×]\s*(\d+)$/i);
+        if (match) {
+          width = parseInt(match[1]);
+          height = parseInt(match[2]);
+        }
+      }
+
+      if (!(width > 0) || !(height > 0)) {
+        throw new Error(
+          `Invalid viewport "${
+            typeof entry === "object" ? JSON.stringify(entry) : entry
+          }" (expected WIDTHxHEIGHT, e.g. 375x812)`,
+        );
+      }
+
+      return { width, height, label: `${width}x${height}` };
+    });
+}
+
+module.exports = { parseViewports };
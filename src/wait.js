@@ -0,0 +1,73 @@
+#!/usr/bin/env node
+
+// Navigation events accepted by --wait-until (see Puppeteer's page.goto)
+const WAIT_UNTIL_EVENTS = [
+  "load",
+  "domcontentloaded",
+  "networkidle0",
+  "networkidle2",
+];
+
+const DEFAULT_WAIT_UNTIL = "networkidle2";
+
+function parseWaitUntil(value) {
+  if (!WAIT_UNTIL_EVENTS.includes(value)) {
+    throw new Error(
+      `Invalid wait event "${value}" (expected one of: ${
+        WAIT_UNTIL_EVENTS.join(", ")
+      })`,
+    );
+  }
+  return value;
+}
+
+// --delay in milliseconds
+function parseDelay(value) {
+  const number = Number(value);
+  if (value === "" || !Number.isInteger(number) || number < 0) {
+    throw new Error(
+      `Invalid delay "${value}" (expected a whole number of milliseconds)`,
+    );
+  }
+  return number;
+}
+
+// True when the user gave any readiness condition. In that case the fixed
+// settling delays in processPage are skipped.
+function hasExplicitWait(options) {
+  return Boolean(
+    options.waitUntil || options.waitForSelector ||
+      options.waitForFunction || options.delay !== undefined,
+  );
+}
+
+// Wait for --wait-for-selector and --wait-for-function after navigation
+async function waitForReady(page, options) {
+  if (options.waitForSelector) {
+    try {
+      await page.waitForSelector(options.waitForSelector, { visible: true });
+    } catch (error) {
+      throw new Error(
+        `Waiting for selector "${options.waitForSelector}" failed: ${error.message}`,
+      );
+    }
+  }
+
+  if (options.waitForFunction) {
+    try {
+      await page.waitForFunction(options.waitForFunction);
+    } catch (error) {
+      throw new Error(
+        `Waiting for function "${options.waitForFunction}" failed: ${error.message}`,
+      );
+    }
+  }
+}
+
+module.exports = {
+  DEFAULT_WAIT_UNTIL,
+  parseWaitUntil,
+  parseDelay,
+  hasExplicitWait,
+  waitForReady,
+};